@@ -0,0 +1,74 @@
+// Exact arithmetic for balances stored as integer base units (wei, lamports, token units).
+// Users' balances are kept as { amount: '<base units>', decimals } in `balancesRaw`, and the
+// floating-point `balances` field is only a display value derived from it.
+
+// Convert a decimal amount (string or number) to integer base units as a BigInt
+function toBaseUnits(amount, decimals) {
+    let str = typeof amount === 'number'
+        ? amount.toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: Math.min(decimals, 20) })
+        : String(amount).trim();
+    
+    const negative = str.startsWith('-');
+    if (negative) str = str.slice(1);
+    
+    const [whole, fraction = ''] = str.split('.');
+    const digits = (whole || '0') + fraction.padEnd(decimals, '0').slice(0, decimals);
+    const raw = BigInt(digits);
+    return negative ? -raw : raw;
+}
+
+// Convert integer base units to an exact decimal string
+function fromBaseUnits(raw, decimals) {
+    let value = BigInt(raw);
+    const negative = value < 0n;
+    if (negative) value = -value;
+    
+    const str = value.toString().padStart(decimals + 1, '0');
+    const whole = str.slice(0, str.length - decimals);
+    const fraction = str.slice(str.length - decimals).replace(/0+$/, '');
+    
+    return `${negative ? '-' : ''}${whole}${fraction ? '.' + fraction : ''}`;
+}
+
+// Convert base units between two decimal precisions (scaling down truncates)
+function rescaleBaseUnits(raw, fromDecimals, toDecimals) {
+    const value = BigInt(raw);
+    if (toDecimals >= fromDecimals) {
+        return value * 10n ** BigInt(toDecimals - fromDecimals);
+    }
+    return value / 10n ** BigInt(fromDecimals - toDecimals);
+}
+
+// Find the key used for a token in a balances map, matching case-insensitively
+function findBalanceKey(balances, symbol) {
+    const upperSymbol = symbol.toUpperCase();
+    return Object.keys(balances || {}).find(key => key.toUpperCase() === upperSymbol) || upperSymbol;
+}
+
+// Read a user's stored balance as { raw, decimals }, falling back to the legacy floating-point value
+function readStoredBalance(userData, key, decimals) {
+    const stored = userData.balancesRaw && userData.balancesRaw[key];
+    if (stored && stored.amount !== undefined) {
+        return { raw: BigInt(stored.amount), decimals: stored.decimals };
+    }
+    
+    const legacy = userData.balances && userData.balances[key];
+    return { raw: toBaseUnits(parseFloat(legacy) || 0, decimals), decimals };
+}
+
+// Firestore field updates that store a balance as base units plus its derived display value
+function balanceFields(key, raw, decimals) {
+    return {
+        [`balancesRaw.${key}`]: { amount: raw.toString(), decimals },
+        [`balances.${key}`]: parseFloat(fromBaseUnits(raw, decimals))
+    };
+}
+
+module.exports = {
+    toBaseUnits,
+    fromBaseUnits,
+    rescaleBaseUnits,
+    findBalanceKey,
+    readStoredBalance,
+    balanceFields
+};
@@ -1,9 +1,13 @@
-const { Web3 } = require('web3');
 const fs = require('fs');
 const path = require('path');
 const admin = require('firebase-admin');
-const { Connection, PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
 const { TOKEN_PROGRAM_ID, AccountLayout } = require('@solana/spl-token');
+const { ERC20_ABI, MULTICALL3_ADDRESS, MULTICALL3_ABI, POPULAR_TOKENS, TRANSFER_EVENT_TOPIC, solanaTokenMetadata } = require('./tokens');
+const { toBaseUnits, fromBaseUnits, rescaleBaseUnits, findBalanceKey, readStoredBalance, balanceFields } = require('./amounts');
+const { createRpcPool } = require('./rpc-pool');
+const { balanceIncreaseReconciliationFields } = require('./reconciliation');
+const { discoverTokens, getDiscoveredTokens } = require('./token-discovery');
 
 // Process command line arguments
 const args = process.argv.slice(2);
@@ -39,65 +43,6 @@ const normalizedChains = chainsToScan.map(chain => {
 // Remove duplicates
 const uniqueChains = [...new Set(normalizedChains)];
 
-// ERC20 ABI (minimal ABI for balance checking)
-const ERC20_ABI = [
-  {
-    "constant": true,
-    "inputs": [{"name": "_owner", "type": "address"}],
-    "name": "balanceOf",
-    "outputs": [{"name": "balance", "type": "uint256"}],
-    "type": "function"
-  },
-  {
-    "constant": true,
-    "inputs": [],
-    "name": "decimals",
-    "outputs": [{"name": "", "type": "uint8"}],
-    "type": "function"
-  },
-  {
-    "constant": true,
-    "inputs": [],
-    "name": "symbol",
-    "outputs": [{"name": "", "type": "string"}],
-    "type": "function"
-  }
-];
-
-// Popular tokens to check (contract addresses)
-const POPULAR_TOKENS = {
-  ethereum: [
-    { address: '0xdac17f958d2ee523a2206206994597c13d831ec7', symbol: 'USDT', decimals: 6 },
-    { address: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48', symbol: 'USDC', decimals: 6 },
-    { address: '0x6b175474e89094c44da98b954eedeac495271d0f', symbol: 'DAI', decimals: 18 },
-    { address: '0x2260fac5e5542a773aa44fbcfedf7c193bc2c599', symbol: 'WBTC', decimals: 8 },
-    { address: '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2', symbol: 'WETH', decimals: 18 }
-  ],
-  bsc: [
-    { address: '0x55d398326f99059ff775485246999027b3197955', symbol: 'USDT', decimals: 18 },
-    { address: '0x8ac76a51cc950d9822d68b83fe1ad97b32cd580d', symbol: 'USDC', decimals: 18 },
-    { address: '0x1af3f329e8be154074d8769d1ffa4ee058b1dbc3', symbol: 'DAI', decimals: 18 },
-    { address: '0xbb4cdb9cbd36b01bd1cbaebf2de08d9173bc095c', symbol: 'WBNB', decimals: 18 },
-    { address: '0x7130d2a12b9bcbfae4f2634d864a1ee1ce3ead9c', symbol: 'BTCB', decimals: 18 }
-  ],
-  solana: [
-    { mintAddress: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', symbol: 'USDC', decimals: 6 },
-    { mintAddress: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', symbol: 'USDT', decimals: 6 },
-    { mintAddress: 'So11111111111111111111111111111111111111112', symbol: 'WSOL', decimals: 9 },
-    { mintAddress: 'mSoLzYCxHdYgdzU16g5QSh3i5K3z3KZK7ytfqcJm7So', symbol: 'mSOL', decimals: 9 },
-    { mintAddress: '7dHbWXmci3dT8UFYWYZweBLXgycu7Y3iL6trKn1Y7ARj', symbol: 'stSOL', decimals: 9 }
-  ]
-};
-
-// Known Solana token metadata
-const solanaTokenMetadata = {
-  'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v': { symbol: 'USDC', decimals: 6 },
-  'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB': { symbol: 'USDT', decimals: 6 },
-  'So11111111111111111111111111111111111111112': { symbol: 'WSOL', decimals: 9 },
-  'mSoLzYCxHdYgdzU16g5QSh3i5K3z3KZK7ytfqcJm7So': { symbol: 'mSOL', decimals: 9 },
-  '7dHbWXmci3dT8UFYWYZweBLXgycu7Y3iL6trKn1Y7ARj': { symbol: 'stSOL', decimals: 9 }
-};
-
 // Firebase initialization
 try {
     const serviceAccount = require('./service-account.json');
@@ -114,14 +59,7 @@ const db = admin.firestore();
 
 // Configuration 
 const config = {
-    // Ethereum Mainnet RPC
-    ethereumRpcURL: process.env.ETH_RPC_URL || 'https://mainnet.infura.io/v3/b933365d933f41ba9c566a622a2d40e3',
-    
-    // BSC Mainnet RPC
-    bscRpcURL: process.env.BSC_RPC_URL || 'https://bsc-dataseed.binance.org/',
-    
-    // Solana Mainnet RPC
-    solanaRpcURL: process.env.SOLANA_RPC_URL || 'https://crimson-sleek-replica.solana-mainnet.quiknode.pro/67a01501974b15a26bcc9567d0ffaf4d66649012',
+    // RPC endpoints (primary + fallbacks) are shared with the monitor, see rpc-pool.js
     
     // Output file for balances
     outputFile: 'enhanced_wallet_balances.json',
@@ -135,17 +73,49 @@ const config = {
     // Batch size for processing
     batchSize: 10,
     
-    // Minimum balance (in native token) worth reporting
+    // Batches processed at the same time per chain. Chains are scanned in parallel; all requests
+    // still go through the RPC pool's per-provider rate limits, shared by every chain and batch.
+    batchConcurrency: {
+        ethereum: parseInt(process.env.ETH_BATCH_CONCURRENCY) || 3,
+        bsc: parseInt(process.env.BSC_BATCH_CONCURRENCY) || 3,
+        solana: parseInt(process.env.SOLANA_BATCH_CONCURRENCY) || 3
+    },
+    
+    // Minimum balance (in native token) worth reporting; wallets below it that hold tokens are reported as token-only
     minReportBalance: 0.0001,
     
+    // Sub-calls per Multicall3 aggregate3 request when reading EVM balances
+    multicallChunkSize: parseInt(process.env.MULTICALL_CHUNK_SIZE) || 500,
+    
+    // Solana accounts per getMultipleAccountsInfo request (the RPC maximum is 100), and how many
+    // Solana requests may be in flight at once
+    solanaAccountsPerRequest: 100,
+    solanaConcurrency: parseInt(process.env.SOLANA_SCAN_CONCURRENCY) || 5,
+    
+    // How far back to look for the transaction behind a balance increase
+    increaseLookback: {
+        Ethereum: 300, // blocks (~1 hour)
+        BSC: 1200, // blocks (~1 hour)
+        Solana: 25 // most recent signatures of the wallet or token account
+    },
+    
+    // Blocks fetched at once when a node without historical state has to be scanned block by block,
+    // and the most blocks fetched that way per batch (blocks are cached across the batch's increases)
+    blockScanConcurrency: 5,
+    maxScannedBlocksPerBatch: parseInt(process.env.MAX_SCANNED_BLOCKS_PER_BATCH) || 200,
+    
+    // Addresses whose balances couldn't be read are retried at the end of the scan
+    failedRetryAttempts: 2,
+    failedRetryDelay: 5000, // 5 seconds
+    
     // Scan interval in milliseconds
     scanInterval: 10 * 60 * 1000 // 10 minutes in milliseconds
 };
 
-// Initialize Web3 instances
-const ethereumWeb3 = new Web3(config.ethereumRpcURL);
-const bscWeb3 = new Web3(config.bscRpcURL);
-const solanaConnection = new Connection(config.solanaRpcURL);
+// RPC pools: every batch is sent to the healthiest endpoint of its chain
+const ethereumPool = createRpcPool('ethereum');
+const bscPool = createRpcPool('bsc');
+const solanaPool = createRpcPool('solana');
 
 // Helper for safely handling BigInt values and converting to number
 function fromWei(web3Instance, value, decimals = 18) {
@@ -163,15 +133,19 @@ function fromWei(web3Instance, value, decimals = 18) {
     }
 }
 
+// Balances are returned as { balance, amountRaw, decimals }: a display number plus the exact base units.
+// A failed read returns { balance: null, amountRaw: null, decimals, error } instead, so it can't be
+// mistaken for an empty wallet.
+
 // Function to get wallet's native token balance (ETH/BNB)
 async function getNativeBalance(address, web3Instance, chain) {
     try {
         const balanceWei = await web3Instance.eth.getBalance(address);
         const balance = parseFloat(fromWei(web3Instance, balanceWei));
-        return balance;
+        return { balance, amountRaw: balanceWei.toString(), decimals: 18 };
     } catch (error) {
         console.error(`Error getting ${chain} balance for ${address}:`, error.message);
-        return 0;
+        return { balance: null, amountRaw: null, decimals: 18, error: error.message };
     }
 }
 
@@ -179,11 +153,11 @@ async function getNativeBalance(address, web3Instance, chain) {
 async function getSolanaBalance(address) {
     try {
         const publicKey = new PublicKey(address);
-        const balance = await solanaConnection.getBalance(publicKey);
-        return balance / LAMPORTS_PER_SOL;
+        const balance = await solanaPool.getClient().getBalance(publicKey);
+        return { balance: balance / LAMPORTS_PER_SOL, amountRaw: balance.toString(), decimals: 9 };
     } catch (error) {
         console.error(`Error getting Solana balance for ${address}:`, error.message);
-        return 0;
+        return { balance: null, amountRaw: null, decimals: 9, error: error.message };
     }
 }
 
@@ -192,25 +166,103 @@ async function getTokenBalance(address, tokenAddress, web3Instance, decimals) {
     try {
         const tokenContract = new web3Instance.eth.Contract(ERC20_ABI, tokenAddress);
         const balance = await tokenContract.methods.balanceOf(address).call();
-        return parseFloat(fromWei(web3Instance, balance, decimals));
+        return { balance: parseFloat(fromWei(web3Instance, balance, decimals)), amountRaw: balance.toString(), decimals };
+    } catch (error) {
+        console.error(`Error getting token ${tokenAddress} balance for ${address}:`, error.message);
+        return { balance: null, amountRaw: null, decimals, error: error.message };
+    }
+}
+
+// Function to read the native, popular and discovered token balances of many EVM addresses through
+// Multicall3 aggregate3 calls, all pinned to the same block. Returns
+// { [address]: { native, tokens: { symbol }, discovered: { contract } } } holding only the reads that
+// succeeded; processBatch falls back to individual calls for the rest.
+async function fetchEvmBalances(web3Instance, chain, addresses) {
+    const prefetched = {};
+    const multicall = new web3Instance.eth.Contract(MULTICALL3_ABI, MULTICALL3_ADDRESS);
+    const tokens = POPULAR_TOKENS[chain.toLowerCase()];
+    
+    // One getEthBalance sub-call plus one balanceOf per token for every address
+    const calls = [];
+    for (const address of addresses) {
+        try {
+            calls.push({
+                address,
+                call: { target: MULTICALL3_ADDRESS, allowFailure: true, callData: multicall.methods.getEthBalance(address).encodeABI() }
+            });
+            for (const token of tokens.concat(getDiscoveredTokens(chain.toLowerCase(), address))) {
+                const tokenContract = new web3Instance.eth.Contract(ERC20_ABI, token.address);
+                calls.push({
+                    address,
+                    token,
+                    call: { target: token.address, allowFailure: true, callData: tokenContract.methods.balanceOf(address).encodeABI() }
+                });
+            }
+        } catch (error) {
+            console.warn(`Skipping multicall for invalid ${chain} address ${address}: ${error.message}`);
+        }
+    }
+    
+    let blockNumber;
+    try {
+        blockNumber = await web3Instance.eth.getBlockNumber();
     } catch (error) {
-        // Silently fail for token balance checks
-        return 0;
+        console.warn(`Could not get ${chain} block number for multicall, using individual calls: ${error.message}`);
+        return prefetched;
+    }
+    
+    let requests = 0;
+    let succeeded = 0;
+    for (let i = 0; i < calls.length; i += config.multicallChunkSize) {
+        const chunk = calls.slice(i, i + config.multicallChunkSize);
+        
+        let results;
+        try {
+            results = await multicall.methods.aggregate3(chunk.map(entry => entry.call)).call({}, blockNumber);
+            requests++;
+        } catch (error) {
+            console.warn(`${chain} multicall of ${chunk.length} balance reads failed, using individual calls: ${error.message}`);
+            continue;
+        }
+        
+        chunk.forEach((entry, index) => {
+            const { success, returnData } = results[index];
+            
+            // A failed sub-call, or a target without code (empty return data), is left for an individual call
+            if (!success || !returnData || returnData.length < 66) return;
+            const amountRaw = BigInt(returnData.slice(0, 66)).toString();
+            
+            const balances = prefetched[entry.address] || (prefetched[entry.address] = { tokens: {}, discovered: {} });
+            if (entry.token) {
+                const { decimals } = entry.token;
+                const tokenBalance = { balance: parseFloat(fromWei(web3Instance, amountRaw, decimals)), amountRaw, decimals };
+                
+                // Discovered tokens are keyed by contract, their symbols aren't unique
+                if (entry.token.discovered) balances.discovered[entry.token.address] = tokenBalance;
+                else balances.tokens[entry.token.symbol] = tokenBalance;
+            } else {
+                balances.native = { balance: parseFloat(fromWei(web3Instance, amountRaw)), amountRaw, decimals: 18 };
+            }
+            succeeded++;
+        });
     }
+    
+    console.log(`Read ${succeeded} of ${calls.length} ${chain} balances in ${requests} Multicall3 requests at block ${blockNumber}`);
+    return prefetched;
 }
 
-// Function to get Solana SPL token balances
+// Function to get Solana SPL token balances. Returns { tokens } or, if the lookup failed, { tokens: null, error }.
 async function getSolanaSPLTokenBalances(walletAddress) {
     const tokenBalances = {};
     try {
         const publicKey = new PublicKey(walletAddress);
         // Find all token accounts owned by this wallet
-        const tokenAccounts = await solanaConnection.getParsedTokenAccountsByOwner(
+        const tokenAccounts = await solanaPool.getClient().getParsedTokenAccountsByOwner(
             publicKey,
             { programId: TOKEN_PROGRAM_ID }
         );
         
-        for (const { account } of tokenAccounts.value) {
+        for (const { pubkey, account } of tokenAccounts.value) {
             const parsedAccountInfo = account.data.parsed;
             const info = parsedAccountInfo.info;
             const mintAddress = info.mint;
@@ -225,15 +277,79 @@ async function getSolanaSPLTokenBalances(walletAddress) {
             
             tokenBalances[tokenInfo.symbol] = {
                 balance: amount,
+                amountRaw: info.tokenAmount.amount,
                 tokenMint: mintAddress,
-                decimals: tokenInfo.decimals
+                tokenAccount: pubkey.toBase58(),
+                decimals: info.tokenAmount.decimals
             };
         }
     } catch (error) {
-        console.error(`Error getting Solana token balances for ${walletAddress}:`, error);
+        console.error(`Error getting Solana token balances for ${walletAddress}:`, error.message);
+        return { tokens: null, error: error.message };
+    }
+    
+    return { tokens: tokenBalances };
+}
+
+// Function to run an async function over items with at most `limit` calls in flight, keeping the order of results
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+// Function to read the SOL and SPL token balances of many wallets in bulk: native balances through
+// getMultipleAccountsInfo (100 accounts per request), token accounts with one getParsedTokenAccountsByOwner
+// per wallet and bounded concurrency. Listing by owner is the only way to see every token account
+// (any mint, associated or not), so the bulk and fallback paths always report the same tokens.
+// Returns { [address]: { native, splTokens } } holding only the reads that succeeded;
+// processBatch falls back to individual calls for the rest.
+async function fetchSolanaBalances(addresses) {
+    const prefetched = {};
+    const validAddresses = addresses.filter(isValidSolanaAddress);
+    
+    const chunks = [];
+    for (let i = 0; i < validAddresses.length; i += config.solanaAccountsPerRequest) {
+        chunks.push(validAddresses.slice(i, i + config.solanaAccountsPerRequest));
     }
     
-    return tokenBalances;
+    await mapWithConcurrency(chunks, config.solanaConcurrency, async chunk => {
+        try {
+            const accounts = await solanaPool.getClient().getMultipleAccountsInfo(chunk.map(address => new PublicKey(address)));
+            
+            // A wallet that was never funded has no account, which is a real zero balance
+            chunk.forEach((address, index) => {
+                const lamports = accounts[index] ? accounts[index].lamports : 0;
+                prefetched[address] = {
+                    native: { balance: lamports / LAMPORTS_PER_SOL, amountRaw: lamports.toString(), decimals: 9 }
+                };
+            });
+        } catch (error) {
+            console.warn(`Solana getMultipleAccountsInfo for ${chunk.length} wallets failed, using individual calls: ${error.message}`);
+        }
+    });
+    
+    // Token accounts are checked for every wallet, including those without SOL
+    await mapWithConcurrency(validAddresses, config.solanaConcurrency, async address => {
+        const splTokens = await getSolanaSPLTokenBalances(address);
+        if (!splTokens.error) {
+            prefetched[address] = prefetched[address] || {};
+            prefetched[address].splTokens = splTokens;
+        }
+    });
+    
+    const nativeCount = Object.values(prefetched).filter(balances => balances.native).length;
+    console.log(`Read ${nativeCount} of ${addresses.length} Solana balances in ${chunks.length} getMultipleAccountsInfo requests and ${validAddresses.length} token account lookups`);
+    return prefetched;
 }
 
 // Function to validate if a string is a valid Solana address
@@ -417,8 +533,12 @@ async function fetchAllWalletAddresses() {
     }
 }
 
-// Function to update user's balances in Firestore and track deposits
-async function updateUserBalances(userId, balances, chain, userEmail) {
+// Function to update user's balances in Firestore and track deposits.
+// `balances` maps token symbols to { amountRaw, decimals }. Balances are compared and stored as exact
+// base units inside a transaction, so concurrent writers (e.g. the deposit monitor) can't lose updates.
+// Increases are recorded as deposits in the same transaction, so the monitor always sees the record
+// before it could credit the same deposit on top of the synced balance (see reconciliation.js).
+async function updateUserBalances(userId, balances, chain, userEmail, walletAddress, blockScan) {
     if (!admin || !admin.firestore || !userId) {
         console.log(`Firebase Admin SDK not initialized or missing userId. Balances not updated for ${chain}.`);
         return;
@@ -428,156 +548,384 @@ async function updateUserBalances(userId, balances, chain, userEmail) {
         // Get a reference to the user's document
         const userDocRef = admin.firestore().collection('users').doc(userId);
         
-        // Get the current user data
-        const userDoc = await userDocRef.get();
-        
-        if (userDoc.exists) {
-            const userData = userDoc.data();
-            const currentBalances = userData.balances || {};
+        const result = await admin.firestore().runTransaction(async transaction => {
+            // Get the current user data
+            const userDoc = await transaction.get(userDocRef);
+            if (!userDoc.exists) {
+                return null;
+            }
             
-            // Track if any balance changed for logging
-            let balanceUpdated = false;
+            const userData = userDoc.data();
             const updatedBalances = {};
-            
-            // Define a threshold for detecting real balance changes
-            // This prevents updates due to minor precision differences
-            const threshold = 0.000001;
+            const changes = [];
             
             // Process each token balance
-            for (const [token, newBalance] of Object.entries(balances)) {
+            for (const [token, { amountRaw, decimals }] of Object.entries(balances)) {
+                // Define a threshold for detecting real balance changes
+                // This prevents updates due to dust and rounding differences
+                const threshold = toBaseUnits('0.000001', decimals);
+                const newRaw = BigInt(amountRaw);
+                
                 // Skip zero balances
-                if (parseFloat(newBalance) <= threshold) {
+                if (newRaw <= threshold) {
                     continue;
                 }
                 
-                // Standardize token symbol to uppercase
-                const tokenSymbol = token.toUpperCase();
-                
                 // Find the existing balance with case-insensitive key matching
-                let existingKey = null;
-                let currentBalance = 0;
-                
-                // Look for existing key in any case variant
-                for (const key in currentBalances) {
-                    if (key.toUpperCase() === tokenSymbol) {
-                        existingKey = key;
-                        currentBalance = parseFloat(currentBalances[key]) || 0;
-                        break;
-                    }
-                }
-                
-                // Determine the key to use for the update
-                const balanceKey = existingKey || tokenSymbol;
+                const balanceKey = findBalanceKey(userData.balances, token);
+                const current = readStoredBalance(userData, balanceKey, decimals);
+                const currentRaw = rescaleBaseUnits(current.raw, current.decimals, decimals);
                 
                 // Calculate balance difference
-                const balanceDiff = parseFloat(newBalance) - currentBalance;
+                const diffRaw = newRaw - currentRaw;
                 
                 // Update only if the balance has meaningfully changed
-                if (Math.abs(balanceDiff) > threshold) {
-                    updatedBalances[`balances.${balanceKey}`] = parseFloat(newBalance);
-                    balanceUpdated = true;
-                    
-                    console.log(`[${userId}] ${balanceKey} balance: ${currentBalance} → ${newBalance} (${balanceDiff > 0 ? '+' : ''}${balanceDiff.toFixed(8)})`);
-                    
-                    // If balance increased or this is a first-time balance, track it as a deposit
-                    if (balanceDiff > threshold) {
-                        // Always track when balance increases
-                        await trackBalanceIncreaseAsDeposit(
-                            userId, 
-                            chain, 
-                            balanceKey, 
-                            currentBalance, 
-                            newBalance, 
-                            balanceDiff,
-                            userEmail
-                        );
-                    }
+                if (diffRaw > threshold || -diffRaw > threshold) {
+                    Object.assign(updatedBalances, balanceFields(balanceKey, newRaw, decimals));
+                    changes.push({
+                        balanceKey,
+                        decimals,
+                        previous: fromBaseUnits(currentRaw, decimals),
+                        balance: fromBaseUnits(newRaw, decimals),
+                        newRaw,
+                        diffRaw,
+                        asset: balances[token]
+                    });
                 }
             }
             
             // Only update Firestore if at least one balance changed
-            if (balanceUpdated && Object.keys(updatedBalances).length > 0) {
-                await userDocRef.update(updatedBalances);
-                console.log(`Updated balances for user ${userId} on ${chain}`);
-            } else {
-                console.log(`No balance changes detected for user ${userId} on ${chain}`);
+            if (changes.length > 0) {
+                transaction.update(userDocRef, updatedBalances);
             }
-        } else {
+            
+            // If balance increased or this is a first-time balance, track it as a deposit
+            for (const change of changes) {
+                if (change.diffRaw > 0n) {
+                    change.depositId = trackBalanceIncreaseAsDeposit(transaction, userId, chain, change, userEmail, walletAddress);
+                }
+            }
+            return changes;
+        });
+        
+        if (result === null) {
             console.log(`User document ${userId} not found, cannot update balances`);
+            return;
+        }
+        
+        if (result.length === 0) {
+            console.log(`No balance changes detected for user ${userId} on ${chain}`);
+            return;
+        }
+        
+        console.log(`Updated balances for user ${userId} on ${chain}`);
+        
+        for (const change of result) {
+            const diff = fromBaseUnits(change.diffRaw, change.decimals);
+            console.log(`[${userId}] ${change.balanceKey} balance: ${change.previous} → ${change.balance} (${change.diffRaw > 0n ? '+' : ''}${diff})`);
+            
+            if (change.depositId) {
+                console.log(`\n===== BALANCE INCREASE DETECTED =====`);
+                console.log(`User: ${userId} (${userEmail || 'No email'})`);
+                console.log(`Chain: ${chain}`);
+                console.log(`Address: ${walletAddress}`);
+                console.log(`Token: ${change.balanceKey}`);
+                console.log(`Previous Balance: ${change.previous}`);
+                console.log(`New Balance: ${change.balance}`);
+                console.log(`Increase Amount: ${diff}`);
+                console.log(`Deposit recorded with ID: ${change.depositId}`);
+                console.log(`======================================\n`);
+                
+                await resolveBalanceIncreaseTransaction(change.depositId, chain, walletAddress, change, blockScan);
+            }
         }
     } catch (error) {
         console.error(`Error updating user's balances:`, error);
     }
 }
 
-// Function to track balance increases as deposits
-async function trackBalanceIncreaseAsDeposit(userId, chain, token, previousBalance, newBalance, amount, userEmail) {
+// Function to track a balance increase as a deposit, inside the transaction that stored the new balance.
+// The record stays open for reconciliation until the monitor links its tx-level deposits to it.
+// Returns the new record's ID.
+function trackBalanceIncreaseAsDeposit(transaction, userId, chain, change, userEmail, walletAddress) {
+    const depositRef = admin.firestore().collection('processedDeposits').doc();
+    const amountRaw = change.diffRaw.toString();
+    
+    const depositData = {
+        userId,
+        userEmail: userEmail || null,
+        chain,
+        walletAddress: walletAddress || 'N/A',
+        amount: parseFloat(fromBaseUnits(change.diffRaw, change.decimals)),
+        amountRaw,
+        decimals: change.decimals,
+        previousBalance: parseFloat(change.previous),
+        newBalance: parseFloat(change.balance),
+        token: change.balanceKey,
+        txHash: null, // No transaction hash since this is detected via balance change
+        detectedBy: 'balance-scanner',
+        processed: true,
+        detectedAt: admin.firestore.FieldValue.serverTimestamp(),
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        type: 'balance-increase',
+        ...balanceIncreaseReconciliationFields(amountRaw)
+    };
+    
+    transaction.set(depositRef, depositData);
+    return depositRef.id;
+}
+
+// Function to find the EVM token transfer behind a balance increase: the most recent Transfer log
+// of the token to the address for exactly the increased amount
+async function findEvmTokenTransfer(web3Instance, chain, walletAddress, tokenAddress, diffRaw) {
+    const latest = Number(await web3Instance.eth.getBlockNumber());
+    const logs = await web3Instance.eth.getPastLogs({
+        address: tokenAddress,
+        fromBlock: Math.max(0, latest - config.increaseLookback[chain]),
+        toBlock: latest,
+        topics: [TRANSFER_EVENT_TOPIC, null, web3Instance.utils.padLeft(walletAddress.toLowerCase(), 64)]
+    });
+    
+    const match = logs.reverse().find(log => BigInt(log.data) === diffRaw);
+    if (!match) {
+        return { error: `No ${logs.length ? 'matching ' : ''}transfer of ${tokenAddress} in the last ${config.increaseLookback[chain]} blocks` };
+    }
+    
+    return {
+        txHash: match.transactionHash,
+        fromAddress: '0x' + match.topics[1].slice(26),
+        blockNumber: Number(match.blockNumber),
+        logIndex: Number(match.logIndex)
+    };
+}
+
+// Check whether an RPC error means the node has pruned the state of the requested block
+function isMissingStateError(error) {
+    return /missing trie node|header not found|historical state|state.*(not available|unavailable|pruned)|pruned|archive/i.test(error.message || '');
+}
+
+// RPC clients found to serve only recent state (full nodes, e.g. the public BSC dataseeds)
+const clientsWithoutHistory = new WeakSet();
+
+// Function to find the native ETH/BNB transfer behind a balance increase. Plain transfers leave no logs,
+// so binary search the block where the balance reached its new value, then look for the transaction in it.
+// Nodes without historical state can't answer getBalance for older blocks; for those, the lookback
+// blocks are scanned for the transfer instead (see scanEvmBlocksForTransfer).
+async function findEvmNativeTransfer(web3Instance, chain, walletAddress, change, blockScan) {
+    const balanceAt = async blockNumber => BigInt(await web3Instance.eth.getBalance(walletAddress, blockNumber));
+    
+    const latest = Number(await web3Instance.eth.getBlockNumber());
+    let low = Math.max(0, latest - config.increaseLookback[chain]);
+    let high = latest;
+    
+    if (clientsWithoutHistory.has(web3Instance)) {
+        return scanEvmBlocksForTransfer(web3Instance, walletAddress, change, low, latest, blockScan);
+    }
+    
+    let lowBalance;
     try {
-        console.log(`\n===== BALANCE INCREASE DETECTED =====`);
-        console.log(`User: ${userId} (${userEmail || 'No email'})`);
-        console.log(`Chain: ${chain}`);
-        console.log(`Token: ${token}`);
-        console.log(`Previous Balance: ${previousBalance}`);
-        console.log(`New Balance: ${newBalance}`);
-        console.log(`Increase Amount: ${amount.toFixed(8)}`);
-        console.log(`======================================\n`);
-        
-        // Get the wallet address for this user and chain
-        let walletAddress = 'N/A';
-        try {
-            const userDoc = await admin.firestore().collection('walletAddresses').doc(userId).get();
-            if (userDoc.exists) {
-                const walletData = userDoc.data();
-                if (walletData && walletData.wallets) {
-                    if (chain === 'Ethereum') {
-                        walletAddress = walletData.wallets.ethereum || 'N/A';
-                    } else if (chain === 'BSC') {
-                        walletAddress = walletData.wallets.bsc || 'N/A';
-                    } else if (chain === 'Solana') {
-                        walletAddress = walletData.wallets.solana || 'N/A';
-                    }
-                }
+        lowBalance = await balanceAt(low);
+    } catch (error) {
+        if (!isMissingStateError(error)) throw error;
+        clientsWithoutHistory.add(web3Instance);
+        console.warn(`${chain} RPC has no historical state (${error.message}); scanning blocks for balance increases instead`);
+        return scanEvmBlocksForTransfer(web3Instance, walletAddress, change, low, latest, blockScan);
+    }
+    
+    if (lowBalance >= change.newRaw) {
+        return { error: `Balance already reached ${change.balance} before the last ${config.increaseLookback[chain]} blocks` };
+    }
+    if (await balanceAt(high) < change.newRaw) {
+        return { error: 'Balance dropped again since the scan' };
+    }
+    
+    while (high - low > 1) {
+        const mid = Math.floor((low + high) / 2);
+        if (await balanceAt(mid) >= change.newRaw) high = mid;
+        else low = mid;
+    }
+    
+    // Several transfers (or spending) in between can't be attributed to one transaction
+    const delta = await balanceAt(high) - await balanceAt(high - 1);
+    if (delta !== change.diffRaw) {
+        return { error: `Balance changed by ${fromBaseUnits(delta, change.decimals)} in block ${high}, not by the increase`, blockNumber: high };
+    }
+    
+    const block = await web3Instance.eth.getBlock(high, true);
+    const match = (block.transactions || []).find(tx => 
+        tx.to && tx.to.toLowerCase() === walletAddress.toLowerCase() && BigInt(tx.value) === change.diffRaw
+    );
+    if (!match) {
+        // Sent by a contract (internal transfer): the block is known, the transaction isn't
+        return { error: `No direct transfer in block ${high} (internal transfer?)`, blockNumber: high };
+    }
+    
+    return { txHash: match.hash, fromAddress: match.from, blockNumber: high };
+}
+
+// Function to find a native transfer by scanning blocks' transactions, newest first: the most recent
+// direct transfer to the address of exactly the increased amount between fromBlock and toBlock.
+// `blockScan` is shared by the increases of one batch: fetched blocks are cached (only their plain
+// transfers are kept) and at most maxScannedBlocksPerBatch blocks are fetched, so a batch with many
+// increases can't stall the scan; what's left over stays unresolved for reconciliation.
+async function scanEvmBlocksForTransfer(web3Instance, walletAddress, change, fromBlock, toBlock, blockScan = createBlockScan()) {
+    const wallet = walletAddress.toLowerCase();
+    
+    for (let end = toBlock; end >= fromBlock; end -= config.blockScanConcurrency) {
+        const blockNumbers = [];
+        for (let blockNumber = end; blockNumber > end - config.blockScanConcurrency && blockNumber >= fromBlock; blockNumber--) {
+            blockNumbers.push(blockNumber);
+        }
+        
+        const missing = blockNumbers.filter(blockNumber => !blockScan.blocks.has(blockNumber));
+        if (missing.length > blockScan.remaining) {
+            return { error: `Block scan limit for this batch reached at block ${end} (searched down from ${toBlock})` };
+        }
+        blockScan.remaining -= missing.length;
+        
+        await mapWithConcurrency(missing, config.blockScanConcurrency, async blockNumber => {
+            const block = await web3Instance.eth.getBlock(blockNumber, true);
+            blockScan.blocks.set(blockNumber, ((block && block.transactions) || [])
+                .filter(tx => tx.to && BigInt(tx.value) > 0n)
+                .map(tx => ({ hash: tx.hash, from: tx.from, to: tx.to.toLowerCase(), value: BigInt(tx.value) })));
+        });
+        
+        for (const blockNumber of blockNumbers) {
+            const match = blockScan.blocks.get(blockNumber).find(tx => tx.to === wallet && tx.value === change.diffRaw);
+            if (match) {
+                return { txHash: match.hash, fromAddress: match.from, blockNumber };
             }
-        } catch (walletError) {
-            console.warn(`Could not retrieve wallet address: ${walletError.message}`);
+        }
+    }
+    
+    return { error: `No direct transfer of the increase in blocks ${fromBlock}-${toBlock} (internal transfer, or several transfers?)` };
+}
+
+// Create the block cache and budget shared by the balance increases of one batch
+function createBlockScan() {
+    return { blocks: new Map(), remaining: config.maxScannedBlocksPerBatch };
+}
+
+// Function to find the Solana transaction behind a balance increase: among the latest signatures of the
+// wallet (SOL) or token account (SPL), the one that changed the wallet's balance by exactly the increase
+async function findSolanaTransfer(walletAddress, change) {
+    const connection = solanaPool.getClient();
+    const { tokenMint, tokenAccount } = change.asset || {};
+    if (tokenMint && !tokenAccount) {
+        return { error: 'Token account unknown' };
+    }
+    
+    const signatures = await connection.getSignaturesForAddress(
+        new PublicKey(tokenMint ? tokenAccount : walletAddress),
+        { limit: config.increaseLookback.Solana }
+    );
+    
+    for (const sigInfo of signatures) {
+        if (sigInfo.err) continue;
+        
+        const tx = await connection.getParsedTransaction(sigInfo.signature, { maxSupportedTransactionVersion: 0 });
+        if (!tx || !tx.meta) continue;
+        
+        if (tokenMint) {
+            // Token balances by owner for this mint, before and after the transaction
+            const amountOf = (balances, owner) => {
+                const entry = (balances || []).find(b => b.mint === tokenMint && b.owner === owner);
+                return entry ? BigInt(entry.uiTokenAmount.amount) : 0n;
+            };
+            const delta = amountOf(tx.meta.postTokenBalances, walletAddress) - amountOf(tx.meta.preTokenBalances, walletAddress);
+            if (delta !== change.diffRaw) continue;
+            
+            const sender = (tx.meta.preTokenBalances || []).find(b => 
+                b.mint === tokenMint && b.owner !== walletAddress &&
+                amountOf(tx.meta.preTokenBalances, b.owner) - amountOf(tx.meta.postTokenBalances, b.owner) === delta
+            );
+            return { txHash: sigInfo.signature, fromAddress: sender ? sender.owner : null, blockNumber: tx.slot };
         }
         
-        // Create a new entry in the processedDeposits collection
-        const depositData = {
-            userId,
-            userEmail: userEmail || null,
-            chain,
-            walletAddress: walletAddress,
-            amount: amount,
-            previousBalance: previousBalance,
-            newBalance: newBalance,
-            token: token,
-            txHash: null, // No transaction hash since this is detected via balance change
-            detectedBy: 'balance-scanner',
-            processed: true,
-            detectedAt: admin.firestore.FieldValue.serverTimestamp(),
-            timestamp: admin.firestore.FieldValue.serverTimestamp(),
-            createdAt: admin.firestore.FieldValue.serverTimestamp(),
-            type: 'balance-increase'
-        };
+        const accountKeys = tx.transaction.message.accountKeys.map(key => key.pubkey.toBase58());
+        const index = accountKeys.indexOf(walletAddress);
+        if (index === -1) continue;
         
-        const depositRef = await admin.firestore().collection('processedDeposits').add(depositData);
+        const delta = BigInt(tx.meta.postBalances[index]) - BigInt(tx.meta.preBalances[index]);
+        if (delta !== change.diffRaw) continue;
         
-        console.log(`Deposit recorded successfully with ID: ${depositRef.id}`);
-        return depositRef.id;
+        // The sender is the account that lost the most lamports (amount plus fee if it also paid)
+        let senderIndex = -1;
+        let largestLoss = 0n;
+        accountKeys.forEach((key, i) => {
+            const loss = BigInt(tx.meta.preBalances[i]) - BigInt(tx.meta.postBalances[i]);
+            if (loss > largestLoss) {
+                largestLoss = loss;
+                senderIndex = i;
+            }
+        });
+        return { txHash: sigInfo.signature, fromAddress: senderIndex >= 0 ? accountKeys[senderIndex] : null, blockNumber: tx.slot };
+    }
+    
+    return { error: `No matching transaction in the last ${signatures.length} signatures` };
+}
+
+// Function to attach the transaction hash, sender and block to a balance-increase record,
+// or mark it unresolved so support staff know it can't be traced on an explorer
+async function resolveBalanceIncreaseTransaction(depositId, chain, walletAddress, change, blockScan) {
+    let resolution;
+    try {
+        if (!walletAddress) {
+            resolution = { error: 'Wallet address unknown' };
+        } else if (chain === 'Solana') {
+            resolution = await findSolanaTransfer(walletAddress, change);
+        } else {
+            const web3Instance = (chain === 'Ethereum' ? ethereumPool : bscPool).getClient();
+            const tokenAddress = change.asset && change.asset.tokenAddress;
+            resolution = tokenAddress
+                ? await findEvmTokenTransfer(web3Instance, chain, walletAddress, tokenAddress, change.diffRaw)
+                : await findEvmNativeTransfer(web3Instance, chain, walletAddress, change, blockScan);
+        }
+    } catch (error) {
+        resolution = { error: error.message };
+    }
+    
+    const fields = resolution.txHash ? {
+        txHash: resolution.txHash,
+        fromAddress: resolution.fromAddress,
+        blockNumber: resolution.blockNumber,
+        txResolution: 'resolved'
+    } : {
+        txResolution: 'unresolved',
+        txResolutionError: resolution.error,
+        blockNumber: resolution.blockNumber || null
+    };
+    if (resolution.logIndex !== undefined) fields.logIndex = resolution.logIndex;
+    
+    if (resolution.txHash) {
+        console.log(`Balance increase ${depositId} resolved to ${chain} transaction ${resolution.txHash} from ${resolution.fromAddress || 'unknown sender'} (block ${resolution.blockNumber})`);
+    } else {
+        console.warn(`Could not resolve the transaction of balance increase ${depositId}: ${resolution.error}`);
+    }
+    
+    try {
+        await admin.firestore().collection('processedDeposits').doc(depositId).update({
+            ...fields,
+            txResolvedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
     } catch (error) {
-        console.error('Error logging deposit from balance increase:', error);
-        return null;
+        console.error(`Error saving transaction resolution for ${depositId}:`, error.message);
     }
 }
 
-// Function to process a batch of wallets
-async function processBatch(addresses, chain, web3Instance, userMap, emailMap, startIndex, batchSize) {
+// Function to process a batch of wallets. `previousBalances` holds the last scan's results for the chain:
+// when a balance can't be read, the previous value is kept and the failure is listed in `errors`.
+// `prefetched` holds balances already read in bulk (see fetchEvmBalances and fetchSolanaBalances).
+async function processBatch(addresses, chain, web3Instance, userMap, emailMap, startIndex, batchSize, previousBalances = {}, prefetched = {}) {
     const results = {};
     const endIndex = Math.min(startIndex + batchSize, addresses.length);
     
     console.log(`Processing ${chain} addresses ${startIndex + 1} to ${endIndex} (of ${addresses.length})`);
     
+    // Blocks fetched to trace native balance increases are shared across the batch (see scanEvmBlocksForTransfer)
+    const blockScan = createBlockScan();
+    
     for (let i = startIndex; i < endIndex; i++) {
         const address = addresses[i];
         const userId = userMap[address] || 'Unknown';
@@ -606,78 +954,102 @@ async function processBatch(addresses, chain, web3Instance, userMap, emailMap, s
         console.log(`Processing ${chain} address: ${address} for user ${userId} (${userEmail})`);
         
         // Get native token balance
+        const previous = previousBalances[address] || {};
         let nativeBalance = 0;
         let tokenBalances = {};
+        const discoveredTokens = {};
+        const errors = {};
         
         if (chain === 'Solana') {
-            nativeBalance = await getSolanaBalance(address);
+            const bulkBalances = prefetched[address] || {};
+            const native = bulkBalances.native || await getSolanaBalance(address);
             
-            // Update user's SOL balance in users collection
-            if (nativeBalance > 0) {
-                await updateUserBalances(userId, { SOL: nativeBalance }, chain, userEmail);
+            if (native.error) {
+                // Keep what we knew before
+                errors.SOL = native.error;
+                nativeBalance = previous.nativeBalance !== undefined ? previous.nativeBalance : null;
+            } else {
+                nativeBalance = native.balance;
+                
+                // Update user's SOL balance in users collection
+                if (nativeBalance > 0) {
+                    await updateUserBalances(userId, { SOL: native }, chain, userEmail, address);
+                }
             }
             
-            // Check SPL token balances if there's a SOL balance
-            if (nativeBalance >= config.minReportBalance) {
-                tokenBalances = await getSolanaSPLTokenBalances(address);
+            // Check SPL token balances whatever the SOL balance: a wallet may hold tokens without SOL for fees
+            const splTokens = bulkBalances.splTokens || await getSolanaSPLTokenBalances(address);
+            
+            if (splTokens.error) {
+                errors['SPL tokens'] = splTokens.error;
+                tokenBalances = previous.tokens || {};
+            } else {
+                tokenBalances = splTokens.tokens;
                 
                 // Update user's token balances in users collection
                 for (const [symbol, tokenData] of Object.entries(tokenBalances)) {
-                    await updateUserBalances(userId, { [symbol]: tokenData.balance }, chain, userEmail);
+                    await updateUserBalances(userId, { [symbol]: tokenData }, chain, userEmail, address);
                 }
             }
-        } else if (chain === 'Ethereum') {
-            nativeBalance = await getNativeBalance(address, web3Instance, chain);
+        } else {
+            const nativeSymbol = chain === 'Ethereum' ? 'ETH' : 'BNB';
+            const multicallBalances = prefetched[address] || { tokens: {}, discovered: {} };
+            const native = multicallBalances.native || await getNativeBalance(address, web3Instance, chain);
             
-            // Update user's ETH balance in users collection
-            if (nativeBalance > 0) {
-                await updateUserBalances(userId, { ETH: nativeBalance }, chain, userEmail);
+            if (native.error) {
+                // Keep what we knew before
+                errors[nativeSymbol] = native.error;
+                nativeBalance = previous.nativeBalance !== undefined ? previous.nativeBalance : null;
+            } else {
+                nativeBalance = native.balance;
+                
+                // Update user's ETH/BNB balance in users collection
+                if (nativeBalance > 0) {
+                    await updateUserBalances(userId, { [nativeSymbol]: native }, chain, userEmail, address, blockScan);
+                }
             }
             
-            // Skip detailed checks if balance is below minimum reporting threshold
-            if (nativeBalance >= config.minReportBalance) {
-                // Check token balances
-                const tokens = POPULAR_TOKENS[chain.toLowerCase()];
+            // Check token balances whatever the native balance: a wallet may hold tokens without gas
+            const tokens = POPULAR_TOKENS[chain.toLowerCase()];
+            
+            for (const token of tokens) {
+                const tokenBalance = multicallBalances.tokens[token.symbol] ||
+                    await getTokenBalance(address, token.address, web3Instance, token.decimals);
                 
-                for (const token of tokens) {
-                    const balance = await getTokenBalance(address, token.address, web3Instance, token.decimals);
-                    if (balance > 0) {
-                        tokenBalances[token.symbol] = {
-                            balance,
-                            tokenAddress: token.address,
-                            decimals: token.decimals
-                        };
-                        
-                        // Update user's token balance in users collection
-                        await updateUserBalances(userId, { [token.symbol]: balance }, chain, userEmail);
+                if (tokenBalance.error) {
+                    errors[token.symbol] = tokenBalance.error;
+                    if (previous.tokens && previous.tokens[token.symbol]) {
+                        tokenBalances[token.symbol] = previous.tokens[token.symbol];
                     }
+                } else if (tokenBalance.balance > 0) {
+                    tokenBalances[token.symbol] = {
+                        balance: tokenBalance.balance,
+                        amountRaw: tokenBalance.amountRaw,
+                        tokenAddress: token.address,
+                        decimals: token.decimals
+                    };
+                    
+                    // Update user's token balance in users collection
+                    await updateUserBalances(userId, { [token.symbol]: tokenBalances[token.symbol] }, chain, userEmail, address);
                 }
             }
-        } else if (chain === 'BSC') {
-            nativeBalance = await getNativeBalance(address, web3Instance, chain);
-            
-            // Update user's BNB balance in users collection
-            if (nativeBalance > 0) {
-                await updateUserBalances(userId, { BNB: nativeBalance }, chain, userEmail);
-            }
             
-            // Skip detailed checks if balance is below minimum reporting threshold
-            if (nativeBalance >= config.minReportBalance) {
-                // Check token balances
-                const tokens = POPULAR_TOKENS[chain.toLowerCase()];
+            // Tokens discovered from Transfer logs are reported, but never credited to users' balances:
+            // their symbols can't be trusted. A failed read only skips the token.
+            for (const token of getDiscoveredTokens(chain.toLowerCase(), address)) {
+                const tokenBalance = multicallBalances.discovered[token.address] ||
+                    await getTokenBalance(address, token.address, web3Instance, token.decimals);
                 
-                for (const token of tokens) {
-                    const balance = await getTokenBalance(address, token.address, web3Instance, token.decimals);
-                    if (balance > 0) {
-                        tokenBalances[token.symbol] = {
-                            balance,
-                            tokenAddress: token.address,
-                            decimals: token.decimals
-                        };
-                        
-                        // Update user's token balance in users collection
-                        await updateUserBalances(userId, { [token.symbol]: balance }, chain, userEmail);
-                    }
+                if (!tokenBalance.error && tokenBalance.balance > 0) {
+                    discoveredTokens[token.address] = {
+                        symbol: token.symbol,
+                        balance: tokenBalance.balance,
+                        amountRaw: tokenBalance.amountRaw,
+                        decimals: token.decimals,
+                        spam: token.spam,
+                        unknown: token.unknown,
+                        flags: token.flags
+                    };
                 }
             }
         }
@@ -689,13 +1061,26 @@ async function processBatch(addresses, chain, web3Instance, userMap, emailMap, s
             tokens: tokenBalances,
             totalValueUSD: 0 // We'll add this later if price API is integrated
         };
+        
+        // Token-only wallets hold tokens but (next to) no native coin for fees, so they need topping up to be swept
+        if (nativeBalance !== null && nativeBalance < config.minReportBalance && Object.keys(tokenBalances).length > 0) {
+            results[address].tokenOnly = true;
+        }
+        
+        if (Object.keys(discoveredTokens).length > 0) {
+            results[address].discoveredTokens = discoveredTokens;
+        }
+        
+        if (Object.keys(errors).length > 0) {
+            results[address].errors = errors;
+        }
     }
     
     return results;
 }
 
 // Function to save balances to Firebase
-async function saveBalancesToFirebase(ethereumBalances, bscBalances, solanaBalances) {
+async function saveBalancesToFirebase(ethereumBalances, bscBalances, solanaBalances, unresolved = []) {
     if (!config.saveToFirebase) {
         console.log('Firebase integration is disabled. Not saving to Firebase.');
         return false;
@@ -778,8 +1163,19 @@ async function saveBalancesToFirebase(ethereumBalances, bscBalances, solanaBalan
                     : (existingData.summary?.nonZeroBscCount || 0),
                 nonZeroSolanaCount: uniqueChains.includes('solana') 
                     ? Object.values(formattedSolanaBalances).filter(data => data.nativeBalance > 0).length 
-                    : (existingData.summary?.nonZeroSolanaCount || 0)
-            }
+                    : (existingData.summary?.nonZeroSolanaCount || 0),
+                tokenOnlyEthereumCount: uniqueChains.includes('ethereum') 
+                    ? Object.values(formattedEthereumBalances).filter(data => data.tokenOnly).length 
+                    : (existingData.summary?.tokenOnlyEthereumCount || 0),
+                tokenOnlyBscCount: uniqueChains.includes('bsc') 
+                    ? Object.values(formattedBscBalances).filter(data => data.tokenOnly).length 
+                    : (existingData.summary?.tokenOnlyBscCount || 0),
+                tokenOnlySolanaCount: uniqueChains.includes('solana') 
+                    ? Object.values(formattedSolanaBalances).filter(data => data.tokenOnly).length 
+                    : (existingData.summary?.tokenOnlySolanaCount || 0),
+                unresolvedCount: unresolved.length
+            },
+            unresolved
         };
         
         // Save to a fixed document in walletBalances collection
@@ -796,6 +1192,103 @@ async function saveBalancesToFirebase(ethereumBalances, bscBalances, solanaBalan
     }
 }
 
+// Function to scan all addresses of one chain: bulk reads first, then batches with bounded concurrency,
+// then retries of the addresses whose reads failed. Returns { balances, unresolved, stats }.
+async function scanChain({ key, name, pool }, addresses, userMap, emailMap, previousBalances) {
+    const startTime = Date.now();
+    const countRequests = () => pool.getStats().reduce((total, endpoint) => total + endpoint.requests, 0);
+    const requestsBefore = countRequests();
+    
+    console.log(`Scanning ${name} balances...`);
+    await pool.checkHeads(true);
+    
+    // Find tokens outside POPULAR_TOKENS sent to our EVM addresses since the last scan
+    const discoveryStart = Date.now();
+    if (key !== 'solana') {
+        try {
+            await discoverTokens(pool.getClient(), key, addresses);
+        } catch (error) {
+            console.warn(`Token discovery on ${name} failed: ${error.message}`);
+        }
+    }
+    
+    // Read all balances in bulk first; batches only make individual calls for failures
+    const prefetchStart = Date.now();
+    const prefetched = key === 'solana'
+        ? await fetchSolanaBalances(addresses)
+        : await fetchEvmBalances(pool.getClient(), name, addresses);
+    const discoveryMs = prefetchStart - discoveryStart;
+    const bulkReadMs = Date.now() - prefetchStart;
+    
+    const batchStarts = [];
+    for (let i = 0; i < addresses.length; i += config.batchSize) {
+        batchStarts.push(i);
+    }
+    
+    const balances = {};
+    const batchResults = await mapWithConcurrency(batchStarts, config.batchConcurrency[key], startIndex => processBatch(
+        addresses,
+        name,
+        key === 'solana' ? null : pool.getClient(), // No web3 instance needed for Solana
+        userMap,
+        emailMap,
+        startIndex,
+        config.batchSize,
+        previousBalances,
+        prefetched
+    ));
+    batchResults.forEach(results => Object.assign(balances, results));
+    const batchesMs = Date.now() - prefetchStart - bulkReadMs;
+    
+    // Retry the addresses whose balances couldn't be read; whatever still fails is reported as unresolved
+    for (let attempt = 1; attempt <= config.failedRetryAttempts; attempt++) {
+        const failed = Object.keys(balances).filter(address => balances[address].errors);
+        if (failed.length === 0) break;
+        
+        console.log(`Retrying ${failed.length} ${name} addresses with failed balance reads (attempt ${attempt}/${config.failedRetryAttempts})...`);
+        await new Promise(resolve => setTimeout(resolve, config.failedRetryDelay));
+        await pool.checkHeads(true);
+        
+        const retryResults = await processBatch(
+            failed,
+            name,
+            key === 'solana' ? null : pool.getClient(),
+            userMap,
+            emailMap,
+            0,
+            failed.length,
+            previousBalances
+        );
+        Object.assign(balances, retryResults);
+    }
+    
+    const unresolved = [];
+    for (const [address, data] of Object.entries(balances)) {
+        if (data.errors) {
+            unresolved.push({ chain: key, address, userId: data.userId, userEmail: data.userEmail, errors: data.errors });
+        }
+    }
+    
+    const durationMs = Date.now() - startTime;
+    console.log(`Finished scanning ${addresses.length} ${name} addresses in ${(durationMs / 1000).toFixed(1)}s`);
+    
+    return {
+        balances,
+        unresolved,
+        stats: {
+            addressCount: addresses.length,
+            batchCount: batchStarts.length,
+            startedAt: new Date(startTime).toISOString(),
+            durationMs,
+            discoveryMs,
+            bulkReadMs,
+            batchesMs,
+            retryMs: Date.now() - prefetchStart - bulkReadMs - batchesMs,
+            rpcRequests: countRequests() - requestsBefore
+        }
+    };
+}
+
 // Main function to scan balances
 async function scanWalletBalances() {
     console.log('=======================================================');
@@ -826,78 +1319,40 @@ async function scanWalletBalances() {
         ).join(', ');
         console.log(`Found ${chainCounts}`);
         
-        // Process Ethereum addresses in batches
-        const ethereumBalances = {};
-        if (uniqueChains.includes('ethereum') && addresses.ethereum.length > 0) {
-            console.log('=======================================================');
-            console.log('Scanning Ethereum balances...');
-            
-            for (let i = 0; i < addresses.ethereum.length; i += config.batchSize) {
-                const batchResults = await processBatch(
-                    addresses.ethereum,
-                    'Ethereum',
-                    ethereumWeb3,
-                    userMap,
-                    emailMap,
-                    i,
-                    config.batchSize
-                );
-                Object.assign(ethereumBalances, batchResults);
-            }
-        }
-        
-        // Process BSC addresses in batches
-        const bscBalances = {};
-        if (uniqueChains.includes('bsc') && addresses.bsc.length > 0) {
-            console.log('=======================================================');
-            console.log('Scanning BSC balances...');
-            
-            for (let i = 0; i < addresses.bsc.length; i += config.batchSize) {
-                const batchResults = await processBatch(
-                    addresses.bsc,
-                    'BSC',
-                    bscWeb3,
-                    userMap,
-                    emailMap,
-                    i,
-                    config.batchSize
-                );
-                Object.assign(bscBalances, batchResults);
-            }
-        }
-        
-        // Process Solana addresses in batches
-        const solanaBalances = {};
-        if (uniqueChains.includes('solana') && addresses.solana.length > 0) {
-            console.log('=======================================================');
-            console.log('Scanning Solana balances...');
-            
-            for (let i = 0; i < addresses.solana.length; i += config.batchSize) {
-                const batchResults = await processBatch(
-                    addresses.solana,
-                    'Solana',
-                    null, // No web3 instance needed for Solana
-                    userMap,
-                    emailMap,
-                    i,
-                    config.batchSize
-                );
-                Object.assign(solanaBalances, batchResults);
-            }
-        }
-        
         // Try to read existing data from file
         let existingReport = {};
         try {
             if (fs.existsSync(config.outputFile)) {
                 const existingData = fs.readFileSync(config.outputFile, 'utf8');
                 existingReport = JSON.parse(existingData);
-                console.log(`Read existing data from ${config.outputFile} to preserve unscanned chain data`);
+                console.log(`Read existing data from ${config.outputFile} to preserve unscanned chain data and previous balances`);
             }
         } catch (readError) {
             console.warn(`Could not read existing data from ${config.outputFile}:`, readError.message);
         }
         
+        // Scan the chains in parallel
+        const chainsToRun = [
+            { key: 'ethereum', name: 'Ethereum', pool: ethereumPool },
+            { key: 'bsc', name: 'BSC', pool: bscPool },
+            { key: 'solana', name: 'Solana', pool: solanaPool }
+        ].filter(chain => uniqueChains.includes(chain.key) && addresses[chain.key] && addresses[chain.key].length > 0);
+        
+        const chainResults = {};
+        await Promise.all(chainsToRun.map(async chain => {
+            chainResults[chain.key] = await scanChain(chain, addresses[chain.key], userMap, emailMap, existingReport[`${chain.key}Balances`]);
+        }));
+        
+        const ethereumBalances = chainResults.ethereum ? chainResults.ethereum.balances : {};
+        const bscBalances = chainResults.bsc ? chainResults.bsc.balances : {};
+        const solanaBalances = chainResults.solana ? chainResults.solana.balances : {};
+        const unresolved = chainsToRun.flatMap(chain => chainResults[chain.key].unresolved);
+        
+        const chainStats = {};
+        for (const chain of chainsToRun) {
+            chainStats[chain.key] = chainResults[chain.key].stats;
+        }
+        
         // Prepare report, preserving data for chains that weren't scanned
         const report = {
             scanTime: new Date().toISOString(),
@@ -929,8 +1384,22 @@ async function scanWalletBalances() {
                     : (existingReport.summary?.nonZeroBscCount || 0),
                 nonZeroSolanaCount: uniqueChains.includes('solana') 
                     ? Object.values(solanaBalances).filter(data => data.nativeBalance > 0).length
-                    : (existingReport.summary?.nonZeroSolanaCount || 0)
-            }
+                    : (existingReport.summary?.nonZeroSolanaCount || 0),
+                tokenOnlyEthereumCount: uniqueChains.includes('ethereum') 
+                    ? Object.values(ethereumBalances).filter(data => data.tokenOnly).length
+                    : (existingReport.summary?.tokenOnlyEthereumCount || 0),
+                tokenOnlyBscCount: uniqueChains.includes('bsc') 
+                    ? Object.values(bscBalances).filter(data => data.tokenOnly).length
+                    : (existingReport.summary?.tokenOnlyBscCount || 0),
+                tokenOnlySolanaCount: uniqueChains.includes('solana') 
+                    ? Object.values(solanaBalances).filter(data => data.tokenOnly).length
+                    : (existingReport.summary?.tokenOnlySolanaCount || 0),
+                unresolvedCount: unresolved.length
+            },
+            // Addresses whose balances couldn't be read; their previous values were kept
+            unresolved,
+            // Timing and request counts of the chains scanned this time
+            chainStats
         };
         
         // Save to file
@@ -942,7 +1411,8 @@ async function scanWalletBalances() {
             await saveBalancesToFirebase(
                 uniqueChains.includes('ethereum') ? ethereumBalances : {},
                 uniqueChains.includes('bsc') ? bscBalances : {},
-                uniqueChains.includes('solana') ? solanaBalances : {}
+                uniqueChains.includes('solana') ? solanaBalances : {},
+                unresolved
             );
         }
         
@@ -954,16 +1424,25 @@ async function scanWalletBalances() {
         if (uniqueChains.includes('ethereum')) {
             const nonZeroEthCount = Object.values(ethereumBalances).filter(data => data.nativeBalance > 0).length;
             console.log(`Found ${nonZeroEthCount} of ${addresses.ethereum.length} Ethereum addresses with non-zero ETH balance`);
+            console.log(`Found ${Object.values(ethereumBalances).filter(data => data.tokenOnly).length} token-only Ethereum addresses (tokens but no ETH for fees)`);
+            const ethereumDiscovered = Object.values(ethereumBalances).filter(data => data.discoveredTokens);
+            const ethereumFlagged = ethereumDiscovered.filter(data => Object.values(data.discoveredTokens).some(token => token.spam || token.unknown));
+            console.log(`Found ${ethereumDiscovered.length} Ethereum addresses holding discovered tokens (${ethereumFlagged.length} with spam/unknown tokens)`);
         }
         
         if (uniqueChains.includes('bsc')) {
             const nonZeroBscCount = Object.values(bscBalances).filter(data => data.nativeBalance > 0).length;
             console.log(`Found ${nonZeroBscCount} of ${addresses.bsc.length} BSC addresses with non-zero BNB balance`);
+            console.log(`Found ${Object.values(bscBalances).filter(data => data.tokenOnly).length} token-only BSC addresses (tokens but no BNB for fees)`);
+            const bscDiscovered = Object.values(bscBalances).filter(data => data.discoveredTokens);
+            const bscFlagged = bscDiscovered.filter(data => Object.values(data.discoveredTokens).some(token => token.spam || token.unknown));
+            console.log(`Found ${bscDiscovered.length} BSC addresses holding discovered tokens (${bscFlagged.length} with spam/unknown tokens)`);
         }
         
         if (uniqueChains.includes('solana')) {
             const nonZeroSolCount = Object.values(solanaBalances).filter(data => data.nativeBalance > 0).length;
             console.log(`Found ${nonZeroSolCount} of ${addresses.solana.length} Solana addresses with non-zero SOL balance`);
+            console.log(`Found ${Object.values(solanaBalances).filter(data => data.tokenOnly).length} token-only Solana addresses (tokens but no SOL for fees)`);
         }
         
         console.log('=======================================================');
@@ -1060,6 +1539,29 @@ async function scanWalletBalances() {
             }
         }
         
+        // Token-only wallets don't show up above (no native balance), but they hold funds that need gas to move
+        const tokenOnlyWallets = [
+            ['Ethereum', ethereumBalances],
+            ['BSC', bscBalances],
+            ['Solana', solanaBalances]
+        ].flatMap(([name, balances]) => Object.entries(balances)
+            .filter(([_, data]) => data.tokenOnly)
+            .map(([address, data]) => ({ name, address, data })));
+        
+        if (tokenOnlyWallets.length > 0) {
+            console.log('=======================================================');
+            console.log('TOKEN-ONLY WALLETS (no native balance for fees):');
+            console.log('=======================================================');
+            for (const { name, address, data } of tokenOnlyWallets) {
+                console.log(`- ${name} user: ${data.userId}`);
+                console.log(`  Address: ${address}`);
+                for (const [symbol, tokenData] of Object.entries(data.tokens)) {
+                    console.log(`    ${symbol}: ${tokenData.balance.toFixed(6)}`);
+                }
+                console.log('');
+            }
+        }
+        
         console.log('=======================================================');
         if (uniqueChains.includes('ethereum')) {
             console.log(`${ethWithTokens} Ethereum addresses have token balances`);
@@ -1071,8 +1573,34 @@ async function scanWalletBalances() {
             console.log(`${solWithTokens} Solana addresses have token balances`);
         }
         console.log('=======================================================');
+        
+        // List the addresses whose balances couldn't be read even after retrying
+        if (unresolved.length > 0) {
+            console.log(`UNRESOLVED: ${unresolved.length} addresses could not be read, previous balances kept:`);
+            for (const entry of unresolved) {
+                console.log(`- ${entry.chain} ${entry.address} (user ${entry.userId})`);
+                for (const [asset, message] of Object.entries(entry.errors)) {
+                    console.log(`    ${asset}: ${message}`);
+                }
+            }
+            console.log('=======================================================');
+        }
+        
+        // Chain timing
+        for (const [key, stats] of Object.entries(chainStats)) {
+            console.log(`${key}: ${stats.addressCount} addresses in ${(stats.durationMs / 1000).toFixed(1)}s ` +
+                `(token discovery ${(stats.discoveryMs / 1000).toFixed(1)}s, bulk reads ${(stats.bulkReadMs / 1000).toFixed(1)}s, ${stats.batchCount} batches ${(stats.batchesMs / 1000).toFixed(1)}s, ` +
+                `retries ${(stats.retryMs / 1000).toFixed(1)}s), ${stats.rpcRequests} RPC requests`);
+        }
+        console.log('=======================================================');
+        
         console.log(`Full report saved to ${config.outputFile}`);
         
+        // RPC endpoint health for the scanned chains
+        if (uniqueChains.includes('ethereum')) ethereumPool.logStats();
+        if (uniqueChains.includes('bsc')) bscPool.logStats();
+        if (uniqueChains.includes('solana')) solanaPool.logStats();
+        
     } catch (error) {
         console.error('Error scanning wallet balances:', error);
         throw error; // Rethrow to handle in one-time mode
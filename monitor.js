@@ -1,6 +1,11 @@
-const { Web3 } = require('web3');
+const { Web3, WebSocketProvider, eth: web3Eth, DEFAULT_RETURN_FORMAT } = require('web3');
 const fs = require('fs');
 const { Connection, PublicKey } = require('@solana/web3.js');
+const { TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const { POPULAR_TOKENS, TRANSFER_EVENT_TOPIC, solanaTokenMetadata, parseTokenList } = require('./tokens');
+const { toBaseUnits, fromBaseUnits, rescaleBaseUnits, findBalanceKey, readStoredBalance, balanceFields } = require('./amounts');
+const { createRpcPool } = require('./rpc-pool');
+const { findCoveringBalanceIncrease, linkToBalanceIncrease } = require('./reconciliation');
 let admin;
 let db;
 
@@ -24,14 +29,24 @@ try {
 
 // Configuration
 const config = {
-    // HTTP URL for minimal API calls (can be overridden by environment variables)
-    httpRpcURL: process.env.ETH_RPC_URL || 'https://mainnet.infura.io/v3/b933365d933f41ba9c566a622a2d40e3',
+    // HTTP RPC endpoints (primary + fallbacks) come from rpc-pool.js: ETH_RPC_URL/FALLBACK_RPC_URLS,
+    // BSC_RPC_URL/BSC_FALLBACK_RPC_URLS and SOLANA_RPC_URL/SOLANA_FALLBACK_RPC_URLS
     
-    // Alternative RPC URLs (comma-separated) for fallback
-    fallbackRpcUrls: (process.env.FALLBACK_RPC_URLS || '').split(',').filter(url => url),
+    // How often to log the health of each RPC pool
+    rpcStatsInterval: 600000, // 10 minutes
     
-    // Solana RPC URL
-    solanaRpcURL: process.env.SOLANA_RPC_URL || 'https://crimson-sleek-replica.solana-mainnet.quiknode.pro/67a01501974b15a26bcc9567d0ffaf4d66649012',
+    // Optional WebSocket RPC URLs. When set, the chain is driven by newHeads/logs subscriptions
+    // instead of polling, and falls back to polling whenever the socket drops.
+    ethWsURL: process.env.ETH_WS_URL || '',
+    bscWsURL: process.env.BSC_WS_URL || '',
+    
+    // How often to retry a dropped WebSocket, and how long without a new head before it counts as stalled
+    wsReconnectInterval: 60000, // 1 minute
+    wsStaleTimeout: 120000, // 2 minutes
+    
+    // Optional Solana WebSocket URL. When set, wallets and their token accounts are watched with
+    // logsSubscribe/accountSubscribe instead of polling every address on every check.
+    solanaWsURL: process.env.SOLANA_WS_URL || '',
     
     // Wallet addresses to monitor (will be populated from Firebase or defaults)
     walletAddresses: [],
@@ -40,13 +55,66 @@ const config = {
     saveToFile: true,
     historyFile: 'deposit_history.json',
     
+    // Last fully processed block/slot per chain, persisted so the monitor resumes after a restart
+    checkpointFile: 'monitor_checkpoints.json',
+    checkpointCollection: 'monitorCheckpoints',
+    signatureCursorCollection: 'solanaSignatureCursors',
+    
+    // Signatures fetched per getSignaturesForAddress page (RPC maximum is 1000)
+    solanaSignaturePageSize: 1000,
+    
+    // Maximum gap to catch up on from a checkpoint at startup (older gaps need a manual re-scan)
+    maxCatchUpBlocks: parseInt(process.env.MAX_CATCHUP_BLOCKS, 10) || 5000,
+    maxCatchUpSlots: parseInt(process.env.MAX_CATCHUP_SLOTS, 10) || 20000,
+    
+    // Maximum block range per eth_getLogs request, and recipient addresses per request (OR-ed in the topic filter)
+    maxLogBlockRange: 1000,
+    logAddressesPerQuery: 100,
+    
+    // Blocks fetched per JSON-RPC batch request, and batches kept in flight at once
+    blockBatchSize: parseInt(process.env.BLOCK_BATCH_SIZE, 10) || 20,
+    blockFetchConcurrency: parseInt(process.env.BLOCK_FETCH_CONCURRENCY, 10) || 3,
+    blockBatchTimeout: 30000,
+    
+    // Retries of a failed block before it is dropped from the retry list and logged for a backfill
+    maxBlockRetries: parseInt(process.env.MAX_BLOCK_RETRIES, 10) || 10,
+    
+    // Confirmations required before a deposit is credited (EVM: blocks, Solana: commitment level)
+    confirmations: {
+        ethereum: parseInt(process.env.ETH_CONFIRMATIONS, 10) || 12,
+        bsc: parseInt(process.env.BSC_CONFIRMATIONS, 10) || 15,
+        solana: 'finalized'
+    },
+    
+    // Number of recent block hashes kept per EVM chain for reorg detection
+    reorgTrackingDepth: 64,
+    
+    // Slots after which a Solana deposit that never finalized is treated as dropped
+    solanaDropAfterSlots: 150,
+    
     // Minimum ETH value to log (set to small non-zero value to ignore dust)
     minValueETH: 0.000001, // Ignore transactions less than 0.000001 ETH
+    minValueBNB: 0.000001, // Ignore transactions less than 0.000001 BNB
     minValueSOL: 0.000001, // Ignore transactions less than 0.000001 SOL
     
+    // Additional ERC20 tokens to watch besides POPULAR_TOKENS (format: "0xcontract:SYMBOL:decimals,...")
+    extraTokens: parseTokenList(process.env.ETH_EXTRA_TOKENS),
+    bscExtraTokens: parseTokenList(process.env.BSC_EXTRA_TOKENS),
+    
+    // Optional internal transaction (contract-sent ETH/BNB) detection through block traces:
+    // 'trace' (trace_block), 'debug' (debug_traceBlockByNumber with callTracer) or 'auto' (try both).
+    // Off when empty; disabled automatically if the RPC doesn't support the trace method.
+    traceMode: {
+        ethereum: process.env.ETH_TRACE_MODE || '',
+        bsc: process.env.BSC_TRACE_MODE || ''
+    },
+    
     // Polling interval in milliseconds
     pollingInterval: 15000, // 15 seconds
     
+    // How long a backfill waits for the deposits it found to be confirmed and credited before exiting
+    backfillConfirmTimeout: (parseInt(process.env.BACKFILL_CONFIRM_TIMEOUT_MINUTES, 10) || 10) * 60000,
+    
     // Maximum retries for connection
     maxRetries: 5,
     
@@ -60,26 +128,137 @@ const config = {
     firebaseEnabled: !!admin && !!db
 };
 
-// Initialize Web3
-let web3;
-let isConnected = false;
-let retryCount = 0;
-let currentRpcUrlIndex = 0;
-const allRpcUrls = [config.httpRpcURL, ...config.fallbackRpcUrls];
+// Build the ERC20 token lookup (keyed by lowercase contract address) for an EVM chain
+function buildTokenMap(tokens) {
+    const tokenMap = {};
+    for (const token of tokens) {
+        tokenMap[token.address.toLowerCase()] = token;
+    }
+    return tokenMap;
+}
+
+// Map a trace mode setting to the RPC methods to try, in order
+function getTraceMethods(mode) {
+    switch (mode) {
+        case 'trace': return ['trace_block'];
+        case 'debug': return ['debug_traceBlockByNumber'];
+        case 'auto': return ['trace_block', 'debug_traceBlockByNumber'];
+        default: return [];
+    }
+}
+
+// Per-chain state for EVM chains (connection, RPC pool and block cursor)
+const evmChains = {
+    ethereum: {
+        key: 'ethereum',
+        name: 'Ethereum',
+        nativeSymbol: 'ETH',
+        valueField: 'valueETH',
+        minValue: config.minValueETH,
+        // RPC endpoints with health tracking; web3 is re-pointed at the healthiest one on every check
+        rpcPool: createRpcPool('ethereum'),
+        wsUrl: config.ethWsURL,
+        // ERC20 tokens whose Transfer events are decoded as deposits
+        tokens: buildTokenMap([...POPULAR_TOKENS.ethereum, ...config.extraTokens]),
+        // Trace methods still to try for internal transfers (see fetchInternalTransfers)
+        traceMethods: getTraceMethods(config.traceMode.ethereum),
+        web3: null,
+        isConnected: false,
+        retryCount: 0,
+        latestBlockNumber: 0,
+        // Hashes of the last reorgTrackingDepth processed blocks (block number -> hash)
+        blockHashes: {},
+        // Blocks that failed to fetch or process and are retried on every check (block number -> attempts)
+        retryBlocks: {},
+        // WebSocket subscription state (see startEvmSubscriptions); the logs subscription is rebuilt
+        // when the monitored addresses change
+        wsWeb3: null,
+        wsLogsSubscription: null,
+        wsLogAddresses: '',
+        wsActive: false,
+        wsLastAttempt: 0,
+        wsLastHeadAt: 0,
+        // Prevents overlapping block checks when both a new head and the poll timer fire
+        checkInProgress: false,
+        checkRequested: false
+    },
+    bsc: {
+        key: 'bsc',
+        name: 'BSC',
+        nativeSymbol: 'BNB',
+        valueField: 'valueBNB',
+        minValue: config.minValueBNB,
+        rpcPool: createRpcPool('bsc'),
+        wsUrl: config.bscWsURL,
+        tokens: buildTokenMap([...POPULAR_TOKENS.bsc, ...config.bscExtraTokens]),
+        traceMethods: getTraceMethods(config.traceMode.bsc),
+        web3: null,
+        isConnected: false,
+        retryCount: 0,
+        latestBlockNumber: 0,
+        blockHashes: {},
+        retryBlocks: {},
+        wsWeb3: null,
+        wsLogsSubscription: null,
+        wsLogAddresses: '',
+        wsActive: false,
+        wsLastAttempt: 0,
+        wsLastHeadAt: 0,
+        checkInProgress: false,
+        checkRequested: false
+    }
+};
+
+// Deposit lifecycle: pending (seen on chain) -> confirmed (enough confirmations) -> credited (balance updated).
+// Deposits whose block is orphaned become 'orphaned', or 'reversed' when they had already been credited.
+const DEPOSIT_STATUS = {
+    PENDING: 'pending',
+    CONFIRMED: 'confirmed',
+    CREDITED: 'credited',
+    FAILED: 'failed',
+    ORPHANED: 'orphaned',
+    REVERSED: 'reversed'
+};
 
 // Initialize Solana connection
-let solanaConnection = new Connection(config.solanaRpcURL);
+const solanaPool = createRpcPool('solana');
+let solanaConnection = solanaPool.getClient();
+let lastRpcStatsLog = Date.now();
 let solanaConnected = false;
 let solanaRetryCount = 0;
 
+// Solana subscription watcher state (see startSolanaSubscriptions)
+const solanaWatcher = {
+    connection: null,
+    active: false,
+    lastAttempt: 0,
+    // Slot notifications double as a heartbeat for the socket
+    slotSubscriptionId: null,
+    lastSlot: 0,
+    lastSlotAt: 0,
+    // Subscription IDs per watched account: { type: 'logs' | 'account', id }
+    subscriptions: {},
+    // Watched token accounts and the wallet that owns them
+    tokenAccountOwners: {},
+    lastTokenAccountRefresh: 0,
+    // Notified accounts still to check ({ owner, fromSlot }) and the accounts being checked
+    pendingChecks: {},
+    checksInProgress: {}
+};
+
 // Store transaction history
 let transactionHistory = [];
-let latestBlockNumber = 0;
+let checkpoints = {};
+// Solana addresses whose signature cursor has been read from Firestore (see loadSignatureCursor)
+const loadedSignatureCursors = new Set();
+// Solana addresses whose signature cursor moved since the last flush (see flushSignatureCursors)
+const movedSignatureCursors = new Set();
 let latestSolanaSlot = 0;
 let monitoringInterval = null;
 let walletRefreshInterval = null;
 let monitoredAddresses = {
     ethereum: [],
+    bsc: [],
     solana: []
 };
 
@@ -91,29 +270,75 @@ const args = process.argv.slice(2);
 const chainArg = args.find(arg => arg.startsWith('--chain='));
 const chainsToMonitor = chainArg ? 
     chainArg.replace('--chain=', '').toLowerCase().split(',') : 
-    ['ethereum', 'solana'];
+    ['ethereum', 'bsc', 'solana'];
 
 // Validate chain arguments
-const validChains = ['ethereum', 'eth', 'solana', 'sol', 'all'];
+const validChains = ['ethereum', 'eth', 'bsc', 'binance', 'solana', 'sol', 'all'];
 const requestedInvalidChains = chainsToMonitor.filter(chain => !validChains.includes(chain));
 
 if (requestedInvalidChains.length > 0) {
     console.error(`Error: Invalid chain(s) specified: ${requestedInvalidChains.join(', ')}`);
-    console.error(`Valid options are: ethereum/eth, solana/sol, or all`);
+    console.error(`Valid options are: ethereum/eth, bsc/binance, solana/sol, or all`);
     process.exit(1);
 }
 
 // Normalize chain names
 const normalizedChains = chainsToMonitor.map(chain => {
     if (chain === 'eth') return 'ethereum';
+    if (chain === 'binance') return 'bsc';
     if (chain === 'sol') return 'solana';
-    if (chain === 'all') return ['ethereum', 'solana'];
+    if (chain === 'all') return ['ethereum', 'bsc', 'solana'];
     return chain;
 }).flat();
 
 // Remove duplicates
 const uniqueChains = [...new Set(normalizedChains)];
 
+// Read the value of a --name=value argument (null if not given)
+function getArgValue(name) {
+    const arg = args.find(arg => arg.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : null;
+}
+
+// Backfill mode: re-scan a historical range for one chain, then exit (see runBackfill)
+const backfill = args.includes('--backfill') ? {
+    chain: uniqueChains[0],
+    fromBlock: getArgValue('from-block') !== null ? parseInt(getArgValue('from-block')) : null,
+    toBlock: getArgValue('to-block') !== null ? parseInt(getArgValue('to-block')) : null,
+    fromSlot: getArgValue('from-slot') !== null ? parseInt(getArgValue('from-slot')) : null,
+    toSlot: getArgValue('to-slot') !== null ? parseInt(getArgValue('to-slot')) : null,
+    beforeSignature: getArgValue('before'),
+    untilSignature: getArgValue('until'),
+    credit: !args.includes('--no-credit'),
+    // Deposits recorded by this run, deposits that already existed, and blocks/signatures that failed
+    found: [],
+    existing: 0,
+    failed: [],
+    // Already-recorded deposits this run picked up that the live monitor wasn't tracking at startup
+    // (e.g. left pending by an earlier backfill); they are confirmed along with the new ones
+    adopted: []
+} : null;
+
+if (backfill) {
+    if (uniqueChains.length !== 1) {
+        console.error('Error: --backfill needs exactly one chain, e.g. --chain=ethereum');
+        process.exit(1);
+    }
+    
+    const isEvm = backfill.chain !== 'solana';
+    const invalidRange = isEvm ?
+        (isNaN(backfill.fromBlock) || isNaN(backfill.toBlock) || backfill.fromBlock === null || backfill.toBlock === null || backfill.fromBlock > backfill.toBlock) :
+        ([backfill.fromSlot, backfill.toSlot].some(slot => Number.isNaN(slot)) ||
+         (backfill.fromSlot === null && backfill.toSlot === null && !backfill.beforeSignature && !backfill.untilSignature));
+    
+    if (invalidRange) {
+        console.error(isEvm ?
+            'Error: EVM backfill needs --from-block=X --to-block=Y (X <= Y)' :
+            'Error: Solana backfill needs --from-slot=X/--to-slot=Y and/or --before=<signature>/--until=<signature>');
+        process.exit(1);
+    }
+}
+
 // Helper functions to safely handle BigInt values
 function safeBigInt(value) {
     return typeof value === 'bigint' ? Number(value) : value;
@@ -121,12 +346,71 @@ function safeBigInt(value) {
 
 function fromWei(value) {
     const valueStr = typeof value === 'bigint' ? value.toString() : value;
-    return web3.utils.fromWei(valueStr, 'ether');
+    return Web3.utils.fromWei(valueStr, 'ether');
+}
+
+// Convert a raw token amount (base units) to an exact decimal string
+function formatTokenAmount(rawAmount, decimals) {
+    return Web3.utils.fromWei(rawAmount.toString(), decimals);
+}
+
+// Extract the address stored in an indexed event topic (last 20 bytes)
+function topicToAddress(topic) {
+    return '0x' + topic.slice(-40).toLowerCase();
+}
+
+// Encode addresses as indexed event topics (left-padded to 32 bytes), for filtering logs by recipient
+function getRecipientTopics(addresses) {
+    return addresses.map(address => Web3.utils.padLeft(address.toLowerCase(), 64));
+}
+
+// Check whether a deposit was already recorded (token deposits are keyed by hash and log index).
+// One transaction can pay several monitored addresses, so the recipient has to match too.
+// Orphaned deposits don't count, so a transaction re-included after a reorg is picked up again.
+function isDepositRecorded(hash, index = 'native', to = null) {
+    return transactionHistory.some(t => 
+        t.hash === hash && isSameDepositIndex(t, index) &&
+        (!to || (t.chain === 'Solana' ? t.to === to : (t.to || '').toLowerCase() === to.toLowerCase())) &&
+        t.status !== DEPOSIT_STATUS.ORPHANED && t.status !== DEPOSIT_STATUS.REVERSED
+    );
+}
+
+// Compare a recorded deposit's index with a new one. SOL deposits recorded before the account index
+// was part of the ID have 'native'; with the recipient matched as well they are the same deposit.
+function isSameDepositIndex(deposit, index) {
+    const recordedIndex = getDepositIndex(deposit);
+    return recordedIndex === index ||
+        (deposit.chain === 'Solana' && recordedIndex === 'native' && index.startsWith('account'));
+}
+
+// Check whether a Solana transaction was already processed for a wallet (any deposit recorded)
+function isSolanaTransactionRecorded(signature, address) {
+    return transactionHistory.some(t => 
+        t.chain === 'Solana' && t.hash === signature && t.to === address &&
+        t.status !== DEPOSIT_STATUS.ORPHANED && t.status !== DEPOSIT_STATUS.REVERSED
+    );
+}
+
+// Get the exact amount (base units + decimals) and balance key a deposit record credits
+function getDepositAmount(deposit) {
+    let amount = { amount: 0, symbol: null, decimals: 18 };
+    if (deposit.valueToken) amount = { amount: deposit.valueToken, symbol: deposit.token, decimals: deposit.decimals };
+    else if (deposit.valueETH) amount = { amount: deposit.valueETH, symbol: 'eth', decimals: 18 };
+    else if (deposit.valueBNB) amount = { amount: deposit.valueBNB, symbol: 'bnb', decimals: 18 };
+    else if (deposit.valueSOL) amount = { amount: deposit.valueSOL, symbol: 'sol', decimals: 9 };
+    
+    // Records written before amounts were kept in base units only have the display value
+    amount.amountRaw = deposit.amountRaw !== undefined
+        ? deposit.amountRaw
+        : toBaseUnits(amount.amount, amount.decimals).toString();
+    amount.amount = fromBaseUnits(amount.amountRaw, amount.decimals);
+    return amount;
 }
 
 // Save transaction history to file
 function saveTransactionHistory() {
-    if (config.saveToFile) {
+    // A backfill runs next to the live monitor, so only the live monitor writes the history file
+    if (config.saveToFile && !backfill) {
         try {
             const serializableHistory = transactionHistory.map(tx => {
                 const txCopy = { ...tx };
@@ -144,6 +428,157 @@ function saveTransactionHistory() {
     }
 }
 
+// Load the checkpoint (last fully processed block/slot) for a chain from file and Firestore
+async function loadCheckpoint(chain) {
+    let lastProcessed = checkpoints[chain] ? checkpoints[chain].lastProcessed : 0;
+    
+    if (config.firebaseEnabled) {
+        try {
+            const checkpointDoc = await db.collection(config.checkpointCollection).doc(chain).get();
+            if (checkpointDoc.exists) {
+                // Use whichever copy is further ahead
+                lastProcessed = Math.max(lastProcessed, checkpointDoc.data().lastProcessed || 0);
+            }
+        } catch (error) {
+            console.error(`Error loading ${chain} checkpoint from Firebase: ${error.message}`);
+        }
+    }
+    
+    return lastProcessed;
+}
+
+// Load the blocks still waiting to be retried for a chain (stored with the checkpoint)
+async function loadRetryBlocks(chain) {
+    const retryBlocks = new Set(checkpoints[chain] ? checkpoints[chain].retryBlocks || [] : []);
+    
+    if (config.firebaseEnabled) {
+        try {
+            const checkpointDoc = await db.collection(config.checkpointCollection).doc(chain).get();
+            if (checkpointDoc.exists) {
+                (checkpointDoc.data().retryBlocks || []).forEach(blockNum => retryBlocks.add(blockNum));
+            }
+        } catch (error) {
+            console.error(`Error loading ${chain} retry blocks from Firebase: ${error.message}`);
+        }
+    }
+    
+    return [...retryBlocks];
+}
+
+// Persist the checkpoint for a chain (and any blocks still to retry) to file and Firestore
+async function saveCheckpoint(chain, lastProcessed, retryBlocks = []) {
+    checkpoints[chain] = { lastProcessed, retryBlocks, updatedAt: new Date().toISOString() };
+    
+    try {
+        fs.writeFileSync(config.checkpointFile, JSON.stringify(checkpoints, null, 2));
+    } catch (error) {
+        console.error(`Error saving checkpoints: ${error.message}`);
+    }
+    
+    if (config.firebaseEnabled) {
+        try {
+            await db.collection(config.checkpointCollection).doc(chain).set({
+                chain,
+                lastProcessed,
+                retryBlocks,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        } catch (error) {
+            console.error(`Error saving ${chain} checkpoint to Firebase: ${error.message}`);
+        }
+    }
+}
+
+// Load the last processed signature for a Solana address ({ signature, slot } or null).
+// Firestore is only read the first time an address is seen; after that the in-memory copy in
+// checkpoints.solanaSignatures is current, since every cursor move goes through saveSignatureCursor.
+async function loadSignatureCursor(address) {
+    checkpoints.solanaSignatures = checkpoints.solanaSignatures || {};
+    let cursor = checkpoints.solanaSignatures[address] || null;
+    
+    if (config.firebaseEnabled && !loadedSignatureCursors.has(address)) {
+        try {
+            const cursorDoc = await db.collection(config.signatureCursorCollection).doc(address).get();
+            if (cursorDoc.exists) {
+                const stored = cursorDoc.data();
+                // Use whichever copy is further ahead
+                if (!cursor || (stored.slot || 0) > (cursor.slot || 0)) {
+                    cursor = { signature: stored.signature, slot: stored.slot };
+                    checkpoints.solanaSignatures[address] = { ...cursor, updatedAt: new Date().toISOString() };
+                }
+            }
+            loadedSignatureCursors.add(address);
+        } catch (error) {
+            console.error(`Error loading signature cursor for ${address} from Firebase: ${error.message}`);
+        }
+    }
+    
+    return cursor;
+}
+
+// Move the last processed signature of a Solana address. Only the in-memory copy changes here;
+// moved cursors are written out once per check by flushSignatureCursors.
+function saveSignatureCursor(address, signature, slot) {
+    checkpoints.solanaSignatures = checkpoints.solanaSignatures || {};
+    const current = checkpoints.solanaSignatures[address];
+    if (current && current.signature === signature) return;
+    checkpoints.solanaSignatures[address] = { signature, slot, updatedAt: new Date().toISOString() };
+    movedSignatureCursors.add(address);
+}
+
+// Persist the Solana signature cursors that moved since the last flush to file and Firestore
+async function flushSignatureCursors() {
+    if (movedSignatureCursors.size === 0) return;
+    const addresses = [...movedSignatureCursors];
+    movedSignatureCursors.clear();
+    
+    try {
+        fs.writeFileSync(config.checkpointFile, JSON.stringify(checkpoints, null, 2));
+    } catch (error) {
+        console.error(`Error saving checkpoints: ${error.message}`);
+    }
+    
+    if (config.firebaseEnabled) {
+        // Firestore batches hold at most 500 writes
+        for (let i = 0; i < addresses.length; i += 500) {
+            const chunk = addresses.slice(i, i + 500);
+            const batch = db.batch();
+            for (const address of chunk) {
+                const { signature, slot } = checkpoints.solanaSignatures[address];
+                batch.set(db.collection(config.signatureCursorCollection).doc(address), {
+                    address,
+                    signature,
+                    slot,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+            }
+            
+            try {
+                await batch.commit();
+            } catch (error) {
+                console.error(`Error saving ${chunk.length} signature cursors to Firebase: ${error.message}`);
+                chunk.forEach(address => movedSignatureCursors.add(address));
+            }
+        }
+    }
+}
+
+// Work out where to resume from: the checkpoint, limited to the maximum catch-up window
+function getResumePosition(chainName, checkpoint, current, maxCatchUp, unit) {
+    if (!checkpoint || checkpoint >= current) {
+        return current;
+    }
+    
+    if (current - checkpoint > maxCatchUp) {
+        const resumeFrom = current - maxCatchUp;
+        console.warn(`${chainName} checkpoint ${unit} ${checkpoint} is ${current - checkpoint} ${unit}s behind; only catching up from ${unit} ${resumeFrom}. Re-scan ${checkpoint + 1}-${resumeFrom} manually.`);
+        return resumeFrom;
+    }
+    
+    console.log(`Resuming ${chainName} monitoring from checkpoint ${unit} ${checkpoint} (${current - checkpoint} ${unit}s behind)`);
+    return checkpoint;
+}
+
 // Function to validate if a string is a valid Solana address
 function isValidSolanaAddress(address) {
     // Check if it's an Ethereum-style address (starts with 0x)
@@ -171,6 +606,7 @@ async function fetchWalletAddresses() {
     if (!config.firebaseEnabled) {
         console.log('Firebase integration is disabled. No addresses will be monitored.');
         monitoredAddresses.ethereum = [];
+        monitoredAddresses.bsc = [];
         monitoredAddresses.solana = [];
         return;
     }
@@ -181,6 +617,7 @@ async function fetchWalletAddresses() {
         // Initialize collections to check
         const newAddresses = {
             ethereum: [],
+            bsc: [],
             solana: []
         };
         const newAddressMap = {};
@@ -220,7 +657,7 @@ async function fetchWalletAddresses() {
                         if (walletData.wallets.bsc) {
                             const bscAddress = walletData.wallets.bsc.toLowerCase();
                             console.log(`Found BSC wallet for user ${userId}: ${bscAddress}`);
-                            newAddresses.ethereum.push(bscAddress); // Also monitor BSC addresses on Ethereum
+                            newAddresses.bsc.push(bscAddress);
                             newAddressMap[bscAddress] = { userId, chain: 'BSC' };
                             foundAddresses = true;
                         }
@@ -274,7 +711,7 @@ async function fetchWalletAddresses() {
                             if (userData.wallets.bsc) {
                                 const bscAddress = userData.wallets.bsc.toLowerCase();
                                 console.log(`Found BSC wallet for user ${userId}: ${bscAddress}`);
-                                newAddresses.ethereum.push(bscAddress);
+                                newAddresses.bsc.push(bscAddress);
                                 newAddressMap[bscAddress] = { userId, chain: 'BSC' };
                                 foundAddresses = true;
                             }
@@ -311,24 +748,26 @@ async function fetchWalletAddresses() {
         // Log results and update monitoring list
         if (foundAddresses) {
             // Update the monitored addresses
-            config.walletAddresses = [...new Set([...newAddresses.ethereum, ...newAddresses.solana])]; // All unique addresses
+            config.walletAddresses = [...new Set([...newAddresses.ethereum, ...newAddresses.bsc, ...newAddresses.solana])]; // All unique addresses
             
             // Update the address map
             Object.assign(addressToUserMap, newAddressMap);
             
-            console.log(`Found ${newAddresses.ethereum.length} Ethereum/BSC addresses and ${newAddresses.solana.length} Solana addresses to monitor`);
+            console.log(`Found ${newAddresses.ethereum.length} Ethereum addresses, ${newAddresses.bsc.length} BSC addresses and ${newAddresses.solana.length} Solana addresses to monitor`);
             
             // Convert addresses to lowercase for case-insensitive comparison
             monitoredAddresses.ethereum = newAddresses.ethereum.map(addr => addr.toLowerCase());
+            monitoredAddresses.bsc = newAddresses.bsc.map(addr => addr.toLowerCase());
             monitoredAddresses.solana = newAddresses.solana;
             
-            console.log(`Monitoring ${monitoredAddresses.ethereum.length} Ethereum/BSC addresses and ${monitoredAddresses.solana.length} Solana addresses`);
+            console.log(`Monitoring ${monitoredAddresses.ethereum.length} Ethereum addresses, ${monitoredAddresses.bsc.length} BSC addresses and ${monitoredAddresses.solana.length} Solana addresses`);
         } else {
             console.log('No wallet addresses found in any collection');
             
             // No addresses found, clear the addresses list
             config.walletAddresses = [];
             monitoredAddresses.ethereum = [];
+            monitoredAddresses.bsc = [];
             monitoredAddresses.solana = [];
             console.log('No addresses will be monitored until wallet addresses are added to Firebase');
         }
@@ -339,147 +778,523 @@ async function fetchWalletAddresses() {
         // Clear addresses on failure to prevent monitoring hardcoded addresses
         config.walletAddresses = [];
         monitoredAddresses.ethereum = [];
+        monitoredAddresses.bsc = [];
         monitoredAddresses.solana = [];
         console.log('No addresses will be monitored due to Firebase error');
     }
 }
 
-// Function to update user's balances in Firestore
-async function updateUserBalance(userId, chain, amount, symbol) {
-    if (!config.firebaseEnabled || !userId || userId === 'Unknown') {
-        console.log('Firebase integration is disabled or unknown user. Balance not updated.');
+// Index part of a deposit ID: the log index (EVM tokens), token account index (SPL tokens),
+// recipient account index (SOL), trace path (internal transfers) or 'native'.
+// Solana deposits are detected from balance changes, so the instruction index is only informational;
+// the account index keeps SOL paid to several monitored wallets in one transaction apart.
+function getDepositIndex(deposit) {
+    if (deposit.logIndex !== undefined && deposit.logIndex !== null) return `log${deposit.logIndex}`;
+    if (deposit.tokenAccountIndex !== undefined) return `token${deposit.tokenAccountIndex}`;
+    if (deposit.accountIndex !== undefined) return `account${deposit.accountIndex}`;
+    if (deposit.tracePath !== undefined) return `trace${deposit.tracePath}`;
+    return 'native';
+}
+
+// Build the deterministic processedDeposits document ID (chain + tx hash + log/token account index),
+// so the same deposit always maps to the same document no matter which monitor sees it
+function getDepositId(deposit) {
+    const index = getDepositIndex(deposit);
+    
+    // EVM hashes are case-insensitive hex, Solana signatures are case-sensitive base58
+    const hash = deposit.chain === 'Solana' ? deposit.hash : deposit.hash.toLowerCase();
+    return `${deposit.chain.toLowerCase()}_${hash}_${index}`;
+}
+
+// Function to add an exact amount (in base units) to a user's balance inside a Firestore transaction.
+// Firestore requires all reads before writes, so callers must do their own reads first.
+// Returns the display values of the change, or null if the balance could not be updated.
+async function updateUserBalance(transaction, userId, chain, amountRaw, decimals, symbol) {
+    if (!userId || userId === 'Unknown') {
+        console.log('Unknown user. Balance not updated.');
+        return null;
+    }
+    
+    // Get a reference to the user's document in the users collection
+    const userDocRef = db.collection('users').doc(userId);
+    
+    // Get the current user data
+    const userDoc = await transaction.get(userDocRef);
+    
+    // Determine which symbol to update based on chain
+    let tokenSymbol = symbol;
+    if (!tokenSymbol) {
+        // Default to native tokens if symbol not specified
+        if (chain === 'Ethereum') tokenSymbol = 'ETH';
+        else if (chain === 'BSC') tokenSymbol = 'BNB';
+        else if (chain === 'Solana') tokenSymbol = 'SOL';
+        else tokenSymbol = 'UNKNOWN';
+    }
+    
+    if (!userDoc.exists) {
+        console.log(`User document ${userId} not found, cannot update balances`);
+        return null;
+    }
+    
+    // Look for the token in any case variant, or use the upper-case symbol for a new balance
+    const userData = userDoc.data();
+    const updateKey = findBalanceKey(userData.balances, tokenSymbol);
+    const current = readStoredBalance(userData, updateKey, decimals);
+    
+    // Add in base units at the higher of the two precisions, so nothing is rounded away
+    // (the same symbol can have different decimals on different chains, e.g. USDT)
+    const targetDecimals = Math.max(current.decimals, decimals);
+    const previousRaw = rescaleBaseUnits(current.raw, current.decimals, targetDecimals);
+    const newRaw = previousRaw + rescaleBaseUnits(amountRaw, decimals, targetDecimals);
+    
+    // Update only this specific balance field
+    transaction.update(userDocRef, balanceFields(updateKey, newRaw, targetDecimals));
+    
+    return {
+        userId,
+        key: updateKey,
+        previous: fromBaseUnits(previousRaw, targetDecimals),
+        amount: fromBaseUnits(amountRaw, decimals),
+        balance: fromBaseUnits(newRaw, targetDecimals)
+    };
+}
+
+// Format a balance change returned by updateUserBalance for logging
+function describeBalanceChange(change) {
+    return `${change.userId}'s ${change.key} balance: ${change.previous} + ${change.amount} = ${change.balance}`;
+}
+
+// Build the processedDeposits document for a deposit record
+function buildDepositData(deposit) {
+    const { to, from, valueETH, valueBNB, valueSOL, valueToken, hash, blockNumber, userId, chain, timestamp } = deposit;
+    
+    const depositData = {
+        depositId: getDepositId(deposit),
+        userId,
+        chain,
+        walletAddress: to,
+        fromAddress: from,
+        amount: valueToken ? parseFloat(valueToken) : (valueETH || valueBNB || valueSOL),
+        txHash: hash,
+        blockNumber,
+        blockHash: deposit.blockHash || null,
+        status: deposit.status,
+        requiredConfirmations: deposit.requiredConfirmations,
+        processed: false,
+        detectedAt: admin.firestore.FieldValue.serverTimestamp(),
+        transactionTime: timestamp ? new Date(timestamp) : null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    
+    // Keep the exact amount as base units plus decimals
+    const { amountRaw, decimals } = getDepositAmount(deposit);
+    Object.assign(depositData, { amountRaw, decimals });
+    
+    // Internal transfers keep the call path inside the transaction that sent them
+    if (deposit.tracePath !== undefined) {
+        Object.assign(depositData, {
+            internal: true,
+            tracePath: deposit.tracePath
+        });
+    }
+    
+    // Solana deposits keep the transfer instruction that funded them and any memo
+    if (chain === 'Solana') {
+        Object.assign(depositData, {
+            accountIndex: deposit.accountIndex !== undefined ? deposit.accountIndex : null,
+            instructionIndex: deposit.instructionIndex || null,
+            memo: deposit.memo || null
+        });
+    }
+    
+    // SPL token deposits keep the mint, owner wallet and token account
+    if (deposit.mint) {
+        Object.assign(depositData, {
+            token: deposit.token,
+            mint: deposit.mint,
+            owner: to,
+            tokenAccount: deposit.tokenAccount
+        });
+    } else if (deposit.token) {
+        // EVM token deposits also keep the contract and log index
+        Object.assign(depositData, {
+            token: deposit.token,
+            tokenContract: deposit.tokenContract,
+            logIndex: deposit.logIndex
+        });
+    }
+    
+    return depositData;
+}
+
+// Function to save deposit to Firebase
+async function saveDepositToFirebase(deposit) {
+    if (!config.firebaseEnabled) {
+        console.log('Firebase integration is disabled. Deposit not saved to Firebase.');
         return;
     }
     
     try {
-        // Get a reference to the user's document in the users collection
-        const userDocRef = db.collection('users').doc(userId);
-        
-        // Get the current user data
-        const userDoc = await userDocRef.get();
-        
-        // Determine which symbol to update based on chain
-        let tokenSymbol = symbol;
-        if (!tokenSymbol) {
-            // Default to native tokens if symbol not specified
-            if (chain === 'Ethereum') tokenSymbol = 'ETH';
-            else if (chain === 'BSC') tokenSymbol = 'BNB';
-            else if (chain === 'Solana') tokenSymbol = 'SOL';
-            else tokenSymbol = 'UNKNOWN';
-        }
-        
-        tokenSymbol = tokenSymbol.toUpperCase();
-        
-        if (userDoc.exists) {
-            // Document exists, get current balance and add the new amount
-            const userData = userDoc.data();
-            const balances = userData.balances || {};
-            
-            // Check for existing key with any case variant
-            let existingKey = null;
-            let currentBalance = 0;
-            
-            // Look for the token in any case variant
-            for (const key in balances) {
-                if (key.toUpperCase() === tokenSymbol) {
-                    existingKey = key;
-                    currentBalance = balances[key] || 0;
-                    break;
+        const depositRef = db.collection('processedDeposits').doc(getDepositId(deposit));
+        
+        // Only create the record if no live record exists yet (another monitor may have written it).
+        // An orphaned/reversed record is replaced: the transaction was re-included after a reorg.
+        // The balance is only credited once the deposit is confirmed (see processPendingDeposits).
+        const existingStatus = await db.runTransaction(async transaction => {
+            const existingDoc = await transaction.get(depositRef);
+            if (existingDoc.exists) {
+                const { status } = existingDoc.data();
+                if (status !== DEPOSIT_STATUS.ORPHANED && status !== DEPOSIT_STATUS.REVERSED) {
+                    return status || DEPOSIT_STATUS.CREDITED;
                 }
             }
+            transaction.set(depositRef, buildDepositData(deposit));
+            return null;
+        });
+        
+        if (existingStatus) {
+            // Adopt the stored status so this monitor never credits the deposit a second time
+            deposit.status = existingStatus;
+            saveTransactionHistory();
+            console.log(`Deposit ${depositRef.id} already recorded in Firebase (${existingStatus}), skipping`);
+            return false;
+        }
+        
+        console.log(`Deposit saved to Firebase for user ${deposit.userId} on ${deposit.chain} (${deposit.status})`);
+        return true;
+    } catch (error) {
+        console.error('Error saving deposit to Firebase:', error);
+    }
+}
+
+// Function to record a detected deposit in the history and Firestore.
+// Returns false if it was already recorded locally, true otherwise.
+async function recordDeposit(txRecord) {
+    if (isDepositRecorded(txRecord.hash, getDepositIndex(txRecord), txRecord.to)) {
+        if (backfill) backfill.existing++;
+        return false;
+    }
+    
+    transactionHistory.push(txRecord);
+    saveTransactionHistory();
+    
+    const created = await saveDepositToFirebase(txRecord);
+    if (backfill) {
+        if (created === false) {
+            backfill.existing++;
+            backfill.adopted.push(txRecord);
+        } else {
+            backfill.found.push(txRecord);
+        }
+    }
+    return true;
+}
+
+// Function to move a deposit to a new lifecycle status in the history file and Firestore
+async function updateDepositStatus(deposit, status, extraFields = {}) {
+    Object.assign(deposit, extraFields, { status });
+    saveTransactionHistory();
+    
+    if (!config.firebaseEnabled) {
+        return;
+    }
+    
+    try {
+        await db.collection('processedDeposits').doc(getDepositId(deposit)).set({
+            ...extraFields,
+            status,
+            statusUpdatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+    } catch (error) {
+        console.error(`Error updating deposit ${deposit.hash} status to ${status}:`, error);
+    }
+}
+
+// Function to credit a confirmed deposit to the user's balance.
+// The deposit record and the balance are written in one Firestore transaction that first checks
+// the record hasn't been credited yet, so a deposit can never be credited twice. If the balance
+// scanner already synced the balance to include this deposit, the deposit is linked to its
+// balance-increase record instead of being added again (see reconciliation.js).
+async function creditDeposit(deposit) {
+    await updateDepositStatus(deposit, DEPOSIT_STATUS.CONFIRMED);
+    
+    if (!config.firebaseEnabled) {
+        await updateDepositStatus(deposit, DEPOSIT_STATUS.CREDITED, { processed: true });
+        return;
+    }
+    
+    const { amount, amountRaw, decimals, symbol } = getDepositAmount(deposit);
+    const depositRef = db.collection('processedDeposits').doc(getDepositId(deposit));
+    
+    try {
+        const result = await db.runTransaction(async transaction => {
+            const depositDoc = await transaction.get(depositRef);
+            const storedStatus = depositDoc.exists ? depositDoc.data().status : null;
+            
+            if (storedStatus === DEPOSIT_STATUS.CREDITED || storedStatus === DEPOSIT_STATUS.REVERSED) {
+                return { alreadyCredited: true, status: storedStatus };
+            }
+            
+            // Reads must come before writes, so look for a covering balance increase first
+            const increase = await findCoveringBalanceIncrease(transaction, db, {
+                userId: deposit.userId,
+                chain: deposit.chain,
+                walletAddress: deposit.to,
+                symbol,
+                amountRaw,
+                decimals,
+                transactionTime: deposit.timestamp
+            });
             
-            // If no existing key was found, use the tokenSymbol as is
-            const updateKey = existingKey || tokenSymbol;
+            if (increase) {
+                const reconciliationStatus = linkToBalanceIncrease(transaction, increase, depositRef.id, amountRaw, decimals);
+                const statusFields = {
+                    status: DEPOSIT_STATUS.CREDITED,
+                    processed: true,
+                    reconciledWith: increase.ref.id,
+                    creditedBy: 'balance-scanner',
+                    creditedAt: admin.firestore.FieldValue.serverTimestamp(),
+                    statusUpdatedAt: admin.firestore.FieldValue.serverTimestamp()
+                };
+                
+                if (depositDoc.exists) {
+                    transaction.update(depositRef, statusFields);
+                } else {
+                    transaction.set(depositRef, { ...buildDepositData(deposit), ...statusFields });
+                }
+                
+                return { status: statusFields.status, reconciledWith: increase.ref.id, reconciliationStatus };
+            }
             
-            // Calculate new balance by adding the deposit amount
-            const newBalance = parseFloat(currentBalance) + parseFloat(amount);
+            const balanceChange = await updateUserBalance(transaction, deposit.userId, deposit.chain, amountRaw, decimals, symbol);
+            const statusFields = balanceChange ? {
+                status: DEPOSIT_STATUS.CREDITED,
+                processed: true,
+                creditedAt: admin.firestore.FieldValue.serverTimestamp()
+            } : {
+                status: DEPOSIT_STATUS.CONFIRMED,
+                flagged: true,
+                flagReason: 'Confirmed but user balance could not be updated'
+            };
+            statusFields.statusUpdatedAt = admin.firestore.FieldValue.serverTimestamp();
             
-            // Prepare update data that only changes this specific token balance
-            const updateData = {};
-            updateData[`balances.${updateKey}`] = newBalance;
+            // Create the record here if saving it at detection time failed
+            if (depositDoc.exists) {
+                transaction.update(depositRef, statusFields);
+            } else {
+                transaction.set(depositRef, { ...buildDepositData(deposit), ...statusFields });
+            }
             
-            // Update only this specific balance field
-            await userDocRef.update(updateData);
-            console.log(`Updated ${userId}'s ${updateKey} balance: ${currentBalance} + ${amount} = ${newBalance}`);
+            return { balanceChange, status: statusFields.status, flagReason: statusFields.flagReason };
+        });
+        
+        Object.assign(deposit, { status: result.status });
+        if (result.alreadyCredited) {
+            console.log(`Deposit ${depositRef.id} was already ${result.status}, not crediting again`);
+        } else if (result.reconciledWith) {
+            Object.assign(deposit, { processed: true, reconciledWith: result.reconciledWith });
+            console.log(`Deposit ${depositRef.id} is already included in ${deposit.userId}'s balance by scanner record ${result.reconciledWith} (${result.reconciliationStatus}), linked instead of crediting again`);
+        } else if (result.balanceChange) {
+            deposit.processed = true;
+            console.log(`Updated ${describeBalanceChange(result.balanceChange)}`);
+            console.log(`Credited ${amount} ${symbol.toUpperCase()} to ${deposit.userId} for ${deposit.chain} deposit ${deposit.hash}`);
         } else {
-            console.log(`User document ${userId} not found, cannot update balances`);
+            Object.assign(deposit, { flagged: true, flagReason: result.flagReason });
+            console.warn(`Deposit ${depositRef.id} confirmed but not credited: ${result.flagReason}`);
         }
+        saveTransactionHistory();
     } catch (error) {
-        console.error(`Error updating user's balances:`, error);
+        console.error(`Error crediting deposit ${deposit.hash}:`, error);
     }
 }
 
-// Function to save deposit to Firebase
-async function saveDepositToFirebase(deposit) {
+// Function to handle a deposit whose block was orphaned: flag it, and reverse the credit if it was applied
+async function orphanDeposit(deposit, reason) {
+    const flagFields = { flagged: true, flagReason: reason };
+    
     if (!config.firebaseEnabled) {
-        console.log('Firebase integration is disabled. Deposit not saved to Firebase.');
+        const wasCredited = deposit.status === DEPOSIT_STATUS.CREDITED;
+        await updateDepositStatus(deposit, wasCredited ? DEPOSIT_STATUS.REVERSED : DEPOSIT_STATUS.ORPHANED, flagFields);
         return;
     }
     
+    const { amount, amountRaw, decimals, symbol } = getDepositAmount(deposit);
+    const depositRef = db.collection('processedDeposits').doc(getDepositId(deposit));
+    
     try {
-        const { to, from, valueETH, valueSOL, hash, blockNumber, userId, chain, timestamp } = deposit;
-        
-        // Create a new entry in the processedDeposits collection
-        await db.collection('processedDeposits').add({
-            userId,
-            chain,
-            walletAddress: to,
-            fromAddress: from,
-            amount: valueETH || valueSOL,
-            txHash: hash,
-            blockNumber,
-            processed: false,
-            detectedAt: admin.firestore.FieldValue.serverTimestamp(),
-            transactionTime: timestamp ? new Date(timestamp) : null,
-            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        // Check the stored status and undo the credit in the same transaction, so it is reversed exactly once
+        const result = await db.runTransaction(async transaction => {
+            const depositDoc = await transaction.get(depositRef);
+            const storedStatus = depositDoc.exists ? depositDoc.data().status : deposit.status;
+            
+            if (storedStatus === DEPOSIT_STATUS.REVERSED || storedStatus === DEPOSIT_STATUS.ORPHANED) {
+                return { status: storedStatus };
+            }
+            
+            // A deposit credited through a scanner balance increase never changed the balance itself;
+            // the scanner's next sync brings the balance back down to the on-chain value
+            const reconciledWith = depositDoc.exists ? depositDoc.data().reconciledWith : deposit.reconciledWith;
+            
+            let balanceChange = null;
+            if (storedStatus === DEPOSIT_STATUS.CREDITED && !reconciledWith) {
+                balanceChange = await updateUserBalance(transaction, deposit.userId, deposit.chain, (-BigInt(amountRaw)).toString(), decimals, symbol);
+            }
+            
+            const status = storedStatus === DEPOSIT_STATUS.CREDITED ? DEPOSIT_STATUS.REVERSED : DEPOSIT_STATUS.ORPHANED;
+            transaction.set(depositRef, {
+                ...flagFields,
+                status,
+                statusUpdatedAt: admin.firestore.FieldValue.serverTimestamp()
+            }, { merge: true });
+            
+            return { status, balanceChange };
         });
         
-        // Also update the user's balances in the users collection
-        if (valueETH) {
-            await updateUserBalance(userId, chain, valueETH, 'eth');
-        } else if (valueSOL) {
-            await updateUserBalance(userId, chain, valueSOL, 'sol');
-        }
+        Object.assign(deposit, flagFields, { status: result.status });
+        saveTransactionHistory();
         
-        console.log(`Deposit saved to Firebase for user ${userId} on ${chain}`);
+        if (result.status === DEPOSIT_STATUS.REVERSED) {
+            if (result.balanceChange) console.log(`Updated ${describeBalanceChange(result.balanceChange)}`);
+            console.warn(`REVERSED credited ${deposit.chain} deposit ${deposit.hash} (${amount} ${symbol.toUpperCase()} for ${deposit.userId}): ${reason}`);
+        } else {
+            console.warn(`Orphaned ${deposit.chain} deposit ${deposit.hash}: ${reason}`);
+        }
     } catch (error) {
-        console.error('Error saving deposit to Firebase:', error);
+        console.error(`Error orphaning deposit ${deposit.hash}:`, error);
+    }
+}
+
+// Function to confirm, credit or orphan the pending deposits of an EVM chain
+// (all of them, or only those in `deposits`)
+async function processPendingDeposits(chainState, currentBlockNumber, deposits = transactionHistory) {
+    const required = config.confirmations[chainState.key];
+    const pending = deposits.filter(t => 
+        t.chain === chainState.name && t.status === DEPOSIT_STATUS.PENDING
+    );
+    
+    for (const deposit of pending) {
+        const confirmations = currentBlockNumber - deposit.blockNumber + 1;
+        if (confirmations < required) continue;
+        
+        try {
+            // The receipt tells us whether the transaction is still in the canonical chain, and where
+            const receipt = await chainState.web3.eth.getTransactionReceipt(deposit.hash);
+            
+            if (!receipt) {
+                await orphanDeposit(deposit, `Transaction no longer found on ${chainState.name} (block ${deposit.blockNumber} orphaned)`);
+            } else if (deposit.blockHash && receipt.blockHash !== deposit.blockHash) {
+                // Re-included in a different block after a reorg: wait for confirmations on the new block
+                await relocateDeposit(chainState, deposit, receipt);
+            } else if (safeBigInt(receipt.status) !== 1) {
+                await updateDepositStatus(deposit, DEPOSIT_STATUS.FAILED, { flagged: true, flagReason: 'Transaction reverted' });
+                console.warn(`${chainState.name} deposit ${deposit.hash} reverted on chain, not crediting`);
+            } else {
+                await creditDeposit(deposit);
+            }
+        } catch (error) {
+            console.error(`Error confirming ${chainState.name} deposit ${deposit.hash}: ${error.message}`);
+        }
+    }
+}
+
+// Function to handle a chain reorganization detected below a newly fetched block.
+// Returns the fork point: the highest tracked block that is still canonical.
+async function handleReorg(chainState, fromBlock) {
+    let forkPoint = fromBlock;
+    
+    // Walk back through the tracked hashes until they match the canonical chain again
+    while (chainState.blockHashes[forkPoint]) {
+        const canonical = await chainState.web3.eth.getBlock(forkPoint, false);
+        if (canonical && canonical.hash === chainState.blockHashes[forkPoint]) break;
+        delete chainState.blockHashes[forkPoint];
+        forkPoint--;
+    }
+    
+    console.warn(`\n===== ${chainState.name.toUpperCase()} REORG DETECTED: blocks ${forkPoint + 1}-${fromBlock} orphaned =====\n`);
+    
+    // Re-check every deposit recorded in the orphaned blocks
+    const affected = transactionHistory.filter(t => 
+        t.chain === chainState.name && t.blockNumber > forkPoint && t.status &&
+        ![DEPOSIT_STATUS.FAILED, DEPOSIT_STATUS.ORPHANED, DEPOSIT_STATUS.REVERSED].includes(t.status)
+    );
+    
+    for (const deposit of affected) {
+        const receipt = await chainState.web3.eth.getTransactionReceipt(deposit.hash);
+        
+        if (receipt && safeBigInt(receipt.status) === 1) {
+            // Still included, just in a different block
+            await relocateDeposit(chainState, deposit, receipt);
+        } else {
+            await orphanDeposit(deposit, `Block ${deposit.blockNumber} orphaned by a chain reorganization`);
+        }
+    }
+    
+    return forkPoint;
+}
+
+// Function to move a deposit whose transaction was re-included in a different block after a reorg.
+// Native and internal deposits are keyed by hash (and trace path), so only their location changes.
+// Token deposits are keyed by the block-level log index, which changes with the block: the old record
+// is orphaned and the transfer is recorded again from the receipt under its new log index.
+async function relocateDeposit(chainState, deposit, receipt) {
+    const blockNumber = safeBigInt(receipt.blockNumber);
+    
+    if (deposit.logIndex === undefined || deposit.logIndex === null) {
+        await updateDepositStatus(deposit, deposit.status, { blockNumber, blockHash: receipt.blockHash });
+        console.log(`${chainState.name} deposit ${deposit.hash} moved to block ${blockNumber} after a reorg`);
+        return;
+    }
+    
+    // Fetch the new block first, so a failed request leaves the deposit to be retried on the next check
+    const block = await chainState.web3.eth.getBlock(blockNumber, false);
+    await orphanDeposit(deposit, `Re-included in block ${blockNumber} after a reorg; recorded again under its new log index`);
+    
+    // The same transfer in the new block: same token, recipient and amount
+    const { amountRaw } = getDepositAmount(deposit);
+    const logs = (receipt.logs || []).filter(log => 
+        log.address.toLowerCase() === deposit.tokenContract &&
+        log.topics && log.topics.length >= 3 && log.topics[0].toLowerCase() === TRANSFER_EVENT_TOPIC.toLowerCase() &&
+        topicToAddress(log.topics[2]) === deposit.to &&
+        BigInt(log.data && log.data !== '0x' ? log.data : 0).toString() === amountRaw
+    );
+    for (const log of logs) {
+        await processTokenTransfer(chainState, log, block || {});
     }
 }
 
-// Get the next RPC URL in rotation
-function getNextRpcUrl() {
-    currentRpcUrlIndex = (currentRpcUrlIndex + 1) % allRpcUrls.length;
-    return allRpcUrls[currentRpcUrlIndex];
+// Remember a processed block's hash, keeping only the last reorgTrackingDepth blocks
+function trackBlockHash(chainState, blockNumber, hash) {
+    chainState.blockHashes[blockNumber] = hash;
+    delete chainState.blockHashes[blockNumber - config.reorgTrackingDepth];
 }
 
-// Function to initialize Web3 connection
-async function initializeWeb3() {
-    const currentUrl = allRpcUrls[currentRpcUrlIndex];
-    console.log(`Attempting to connect to ${currentUrl}`);
+// Function to initialize Web3 connection for an EVM chain
+async function initializeWeb3(chainState) {
+    const currentUrl = chainState.rpcPool.getEndpoint().url;
+    console.log(`Attempting to connect to ${chainState.name} RPC: ${currentUrl}`);
     
     try {
-        web3 = new Web3(currentUrl);
+        chainState.web3 = chainState.rpcPool.getClient();
         
         // Test connection
-        await web3.eth.getBlockNumber();
-        isConnected = true;
-        retryCount = 0;
-        console.log(`Successfully connected to Ethereum network using ${currentUrl}`);
+        await chainState.web3.eth.getBlockNumber();
+        chainState.isConnected = true;
+        chainState.retryCount = 0;
+        console.log(`Successfully connected to ${chainState.name} network using ${currentUrl}`);
         return true;
     } catch (error) {
-        console.error(`Failed to connect to Ethereum network using ${currentUrl}: ${error.message}`);
-        isConnected = false;
+        console.error(`Failed to connect to ${chainState.name} network using ${currentUrl}: ${error.message}`);
+        chainState.isConnected = false;
         return false;
     }
 }
 
 // Function to initialize Solana connection
 async function initializeSolana() {
-    console.log(`Attempting to connect to Solana RPC: ${config.solanaRpcURL}`);
+    console.log(`Attempting to connect to Solana RPC: ${solanaPool.getEndpoint().url}`);
     
     try {
-        solanaConnection = new Connection(config.solanaRpcURL);
+        solanaConnection = solanaPool.getClient();
         
         // Test connection
         await solanaConnection.getSlot();
@@ -496,125 +1311,709 @@ async function initializeSolana() {
 
 // Function to monitor blocks for deposits
 async function monitorBlocks() {
+    // Log RPC endpoint health now and then
+    if (Date.now() - lastRpcStatsLog >= config.rpcStatsInterval) {
+        lastRpcStatsLog = Date.now();
+        for (const chain of uniqueChains) {
+            (chain === 'solana' ? solanaPool : evmChains[chain].rpcPool).logStats();
+        }
+    }
+    
     // Check if there are any addresses to monitor
-    if ((uniqueChains.includes('ethereum') && monitoredAddresses.ethereum.length === 0) && 
-        (uniqueChains.includes('solana') && monitoredAddresses.solana.length === 0)) {
+    if (!uniqueChains.some(chain => monitoredAddresses[chain].length > 0)) {
         console.log('No addresses to monitor. Waiting for address refresh...');
         scheduleNextCheck();
         return;
     }
     
-    // Process Ethereum blocks
-    if (uniqueChains.includes('ethereum') && monitoredAddresses.ethereum.length > 0) {
-        await monitorEthereumBlocks();
-    }
-    
-    // Process Solana transactions
+    // Process Ethereum and BSC blocks
+    for (const chain of ['ethereum', 'bsc']) {
+        const chainState = evmChains[chain];
+        if (!uniqueChains.includes(chain) || monitoredAddresses[chain].length === 0) continue;
+        
+        // A socket that is open but no longer delivers heads is treated as dropped
+        if (chainState.wsActive && Date.now() - chainState.wsLastHeadAt > config.wsStaleTimeout) {
+            stopEvmSubscriptions(chainState, `no new heads for ${config.wsStaleTimeout / 1000} seconds`);
+        }
+        
+        // (Re)open WebSocket subscriptions if configured
+        if (chainState.wsUrl && !chainState.wsWeb3 && Date.now() - chainState.wsLastAttempt >= config.wsReconnectInterval) {
+            await startEvmSubscriptions(chainState);
+        }
+        
+        // Follow changes to the monitored addresses in the logs subscription's recipient filter
+        if (chainState.wsActive && chainState.wsLogAddresses !== monitoredAddresses[chain].join(',')) {
+            try {
+                await subscribeEvmTransferLogs(chainState);
+            } catch (error) {
+                stopEvmSubscriptions(chainState, `resubscribing to Transfer logs failed: ${error.message}`);
+            }
+        }
+        
+        // Poll only while the chain isn't driven by subscriptions
+        if (!chainState.wsActive) {
+            await runEvmCheck(chainState);
+        }
+    }
+    
+    // Process Solana transactions
     if (uniqueChains.includes('solana') && monitoredAddresses.solana.length > 0) {
-        await monitorSolanaTransactions();
+        // A socket that no longer delivers slot updates is treated as dropped
+        if (solanaWatcher.active && Date.now() - solanaWatcher.lastSlotAt > config.wsStaleTimeout) {
+            stopSolanaSubscriptions(`no slot updates for ${config.wsStaleTimeout / 1000} seconds`);
+        }
+        
+        // (Re)open Solana subscriptions if configured
+        if (config.solanaWsURL && !solanaWatcher.connection && Date.now() - solanaWatcher.lastAttempt >= config.wsReconnectInterval) {
+            await startSolanaSubscriptions();
+        }
+        
+        // Poll every address only while subscriptions aren't active
+        if (solanaWatcher.active) {
+            await solanaSubscriptionTick();
+        } else {
+            await monitorSolanaTransactions();
+        }
     }
     
     scheduleNextCheck();
 }
 
-// Function to monitor Ethereum blocks
-async function monitorEthereumBlocks() {
-    if (!isConnected) {
-        console.log('Not connected to Ethereum. Attempting to reconnect...');
+// Function to run a block check for an EVM chain, making sure checks never overlap.
+// A check requested while one is running is queued and runs right after it.
+async function runEvmCheck(chainState) {
+    if (chainState.checkInProgress) {
+        chainState.checkRequested = true;
+        return;
+    }
+    
+    chainState.checkInProgress = true;
+    try {
+        do {
+            chainState.checkRequested = false;
+            await monitorEvmBlocks(chainState);
+        } while (chainState.checkRequested);
+    } finally {
+        chainState.checkInProgress = false;
+    }
+}
+
+// Function to start newHeads and Transfer logs subscriptions for an EVM chain over WebSocket.
+// New heads trigger the regular block check (which fetches over HTTP from the checkpoint, so any gap
+// is backfilled), while token Transfer logs are recorded as soon as they arrive.
+async function startEvmSubscriptions(chainState) {
+    const { name } = chainState;
+    chainState.wsLastAttempt = Date.now();
+    console.log(`Opening ${name} WebSocket subscriptions: ${chainState.wsUrl}`);
+    
+    try {
+        const provider = new WebSocketProvider(chainState.wsUrl, {}, { autoReconnect: false });
+        const wsWeb3 = new Web3(provider);
+        chainState.wsWeb3 = wsWeb3;
+        
+        provider.on('disconnect', () => stopEvmSubscriptions(chainState, 'socket closed'));
+        provider.on('error', error => stopEvmSubscriptions(chainState, (error && error.message) || 'socket error'));
+        
+        const headsSubscription = await wsWeb3.eth.subscribe('newHeads');
+        headsSubscription.on('data', () => {
+            chainState.wsLastHeadAt = Date.now();
+            runEvmCheck(chainState).catch(error => {
+                console.error(`Error checking ${name} blocks on new head: ${error.message}`);
+            });
+        });
+        headsSubscription.on('error', error => stopEvmSubscriptions(chainState, error.message));
+        
+        await subscribeEvmTransferLogs(chainState);
+        
+        // The socket may have dropped while subscribing
+        if (chainState.wsWeb3 !== wsWeb3) return;
         
-        if (retryCount >= config.maxRetries) {
-            console.error('Maximum retry attempts reached for current Ethereum endpoint.');
-            // Try the next RPC URL in rotation
-            const nextUrl = getNextRpcUrl();
-            console.log(`Switching to next RPC URL: ${nextUrl}`);
-            retryCount = 0;
+        chainState.wsActive = true;
+        chainState.wsLastHeadAt = Date.now();
+        console.log(`${name} monitoring is now driven by WebSocket subscriptions`);
+    } catch (error) {
+        console.error(`Failed to open ${name} WebSocket subscriptions: ${error.message}`);
+        stopEvmSubscriptions(chainState, error.message);
+    }
+}
+
+// Function to (re)subscribe to Transfer logs of the tracked tokens to the monitored addresses.
+// The recipient filter depends on the address list, so this runs again whenever it changes.
+async function subscribeEvmTransferLogs(chainState) {
+    const { wsWeb3 } = chainState;
+    const tokenAddresses = Object.keys(chainState.tokens);
+    const addresses = monitoredAddresses[chainState.key];
+    
+    if (chainState.wsLogsSubscription) {
+        const previous = chainState.wsLogsSubscription;
+        chainState.wsLogsSubscription = null;
+        await previous.unsubscribe().catch(() => {});
+    }
+    chainState.wsLogAddresses = addresses.join(',');
+    if (tokenAddresses.length === 0 || addresses.length === 0) return;
+    
+    const logsSubscription = await wsWeb3.eth.subscribe('logs', {
+        address: tokenAddresses,
+        topics: [TRANSFER_EVENT_TOPIC, null, getRecipientTopics(addresses)]
+    });
+    logsSubscription.on('data', log => handleSubscribedLog(chainState, log));
+    logsSubscription.on('error', error => stopEvmSubscriptions(chainState, error.message));
+    chainState.wsLogsSubscription = logsSubscription;
+}
+
+// Function to close an EVM chain's WebSocket and fall back to polling
+function stopEvmSubscriptions(chainState, reason) {
+    const { wsWeb3 } = chainState;
+    if (!wsWeb3) return;
+    
+    chainState.wsWeb3 = null;
+    chainState.wsLogsSubscription = null;
+    if (chainState.wsActive) {
+        chainState.wsActive = false;
+        console.warn(`${chainState.name} WebSocket dropped (${reason}). Falling back to polling from block ${chainState.latestBlockNumber}`);
+    }
+    
+    try {
+        wsWeb3.currentProvider.disconnect();
+    } catch (error) {
+        // Already closed
+    }
+}
+
+// Function to record a Transfer log delivered by the logs subscription
+async function handleSubscribedLog(chainState, log) {
+    if (!log.topics || log.topics.length < 3) return;
+    if (!monitoredAddresses[chainState.key].includes(topicToAddress(log.topics[2]))) return;
+    
+    if (log.removed) {
+        // Its block was orphaned; the confirmation check re-verifies the deposit before crediting
+        console.warn(`${chainState.name} Transfer log ${log.transactionHash} (log ${safeBigInt(log.logIndex)}) removed by a reorg`);
+        return;
+    }
+    
+    // Without an HTTP connection the block check picks the log up once reconnected
+    if (!chainState.isConnected) return;
+    
+    try {
+        const block = await chainState.web3.eth.getBlock(log.blockNumber, false);
+        await processTokenTransfer(chainState, log, block || {});
+    } catch (error) {
+        console.error(`Error processing subscribed ${chainState.name} log ${log.transactionHash}: ${error.message}`);
+    }
+}
+
+// Function to monitor blocks of an EVM chain (Ethereum or BSC)
+async function monitorEvmBlocks(chainState) {
+    const { name } = chainState;
+    
+    if (!chainState.isConnected) {
+        console.log(`Not connected to ${name}. Attempting to reconnect...`);
+        
+        if (chainState.retryCount >= config.maxRetries) {
+            console.error(`Maximum retry attempts reached for ${name}.`);
+            chainState.retryCount = 0;
         }
         
-        retryCount++;
-        const connected = await initializeWeb3();
+        // The pool hands out the healthiest endpoint; failed ones have been scored down
+        chainState.retryCount++;
+        const connected = await initializeWeb3(chainState);
         if (!connected) {
-            console.log(`Retry attempt ${retryCount}/${config.maxRetries}. Waiting ${config.retryDelay/1000} seconds...`);
+            console.log(`${name} retry attempt ${chainState.retryCount}/${config.maxRetries}. Waiting ${config.retryDelay/1000} seconds...`);
             return;
         }
     }
     
+    // Route this check to the healthiest endpoint (stale nodes are detected by the head cross-check)
+    await chainState.rpcPool.checkHeads();
+    chainState.web3 = chainState.rpcPool.getClient();
+    const { web3 } = chainState;
+    
     try {
         const currentBlockNumber = safeBigInt(await web3.eth.getBlockNumber());
         
-        if (latestBlockNumber === 0) {
-            latestBlockNumber = currentBlockNumber;
-            console.log(`Starting Ethereum monitoring from block ${currentBlockNumber}`);
-            return;
+        if (chainState.latestBlockNumber === 0) {
+            const checkpoint = await loadCheckpoint(chainState.key);
+            for (const blockNum of await loadRetryBlocks(chainState.key)) {
+                chainState.retryBlocks[blockNum] = 0;
+            }
+            chainState.latestBlockNumber = getResumePosition(name, checkpoint, currentBlockNumber, config.maxCatchUpBlocks, 'block');
+            
+            if (chainState.latestBlockNumber === currentBlockNumber) {
+                console.log(`Starting ${name} monitoring from block ${currentBlockNumber}`);
+                await saveCheckpoint(chainState.key, currentBlockNumber, Object.keys(chainState.retryBlocks).map(Number));
+                return;
+            }
         }
+        
+        // Retry blocks that failed on earlier checks
+        await retryFailedBlocks(chainState);
 
-        // Process new blocks
-        for (let blockNum = latestBlockNumber + 1; blockNum <= currentBlockNumber; blockNum++) {
+        // Fetch token Transfer events for the whole range up front
+        const tokenTransfers = await fetchTokenTransfers(chainState, chainState.latestBlockNumber + 1, currentBlockNumber);
+        
+        // Process new blocks, fetched in batches but handled in order
+        const blockNumbers = [];
+        for (let blockNum = chainState.latestBlockNumber + 1; blockNum <= currentBlockNumber; blockNum++) {
+            blockNumbers.push(blockNum);
+        }
+        
+        let lastProcessedBlock = currentBlockNumber;
+        for await (const { blockNum, block } of fetchBlocksInOrder(chainState, blockNumbers)) {
+            if (!block) {
+                // Couldn't fetch it: keep going and retry it on the next checks
+                addRetryBlock(chainState, blockNum, 'not returned by the RPC');
+                continue;
+            }
+            
+            // A parent hash that doesn't match the block we processed before means a reorg
+            const previousHash = chainState.blockHashes[blockNum - 1];
+            if (previousHash && block.parentHash !== previousHash) {
+                lastProcessedBlock = await handleReorg(chainState, blockNum - 1);
+                break; // Re-process from the fork point on the next check
+            }
+            
             try {
-                const block = await web3.eth.getBlock(blockNum, true);
-                
-                if (block && block.transactions) {
-                    // Filter transactions for monitored addresses
-                    const relevantTxs = block.transactions.filter(tx => 
-                        tx.to && monitoredAddresses.ethereum.includes(tx.to.toLowerCase())
-                    );
-
-                    // Process relevant transactions
-                    for (const tx of relevantTxs) {
-                        const valueETH = parseFloat(fromWei(tx.value));
-                        
-                        if (valueETH >= config.minValueETH) {
-                            const lowerToAddress = tx.to.toLowerCase();
-                            const userInfo = addressToUserMap[lowerToAddress] || { userId: 'Unknown', chain: 'Unknown' };
-                            
-                            const txRecord = {
-                                hash: tx.hash,
-                                from: tx.from,
-                                to: tx.to,
-                                valueETH: valueETH,
-                                blockNumber: safeBigInt(blockNum),
-                                timestamp: block.timestamp ? new Date(safeBigInt(block.timestamp) * 1000).toISOString() : new Date().toISOString(),
-                                userId: userInfo.userId,
-                                chain: userInfo.chain
-                            };
-                            
-                            // Add to history if not already present
-                            if (!transactionHistory.some(t => t.hash === tx.hash)) {
-                                transactionHistory.push(txRecord);
-                                saveTransactionHistory();
-                                
-                                // Also save to Firebase
-                                await saveDepositToFirebase(txRecord);
-                                
-                                // Display deposit information
-                                console.log('\n===== NEW DEPOSIT DETECTED =====');
-                                console.log(`Time: ${txRecord.timestamp}`);
-                                console.log(`Block: ${blockNum}`);
-                                console.log(`User: ${userInfo.userId}`);
-                                console.log(`Chain: ${userInfo.chain}`);
-                                console.log(`Amount: ${valueETH.toFixed(6)} ETH`);
-                                console.log(`To: ${tx.to}`);
-                                console.log(`From: ${tx.from}`);
-                                console.log(`Transaction: ${tx.hash}`);
-                                console.log('================================\n');
-                            }
-                        }
-                    }
+                if (block.transactions) {
+                    await processEvmBlockDeposits(chainState, block, tokenTransfers[blockNum] || []);
                 }
             } catch (blockError) {
-                console.error(`Error processing Ethereum block ${blockNum}: ${blockError.message}`);
-                continue; // Continue with next block even if one fails
+                addRetryBlock(chainState, blockNum, blockError.message);
             }
+            
+            trackBlockHash(chainState, blockNum, block.hash);
         }
         
-        latestBlockNumber = currentBlockNumber;
-        retryCount = 0; // Reset retry count on successful execution
+        chainState.latestBlockNumber = lastProcessedBlock;
+        chainState.retryCount = 0; // Reset retry count on successful execution
+        await saveCheckpoint(chainState.key, lastProcessedBlock, Object.keys(chainState.retryBlocks).map(Number));
+        
+        // Credit deposits that have reached the required confirmations
+        await processPendingDeposits(chainState, currentBlockNumber);
         
     } catch (error) {
-        console.error(`Error monitoring Ethereum blocks: ${error.message}`);
-        isConnected = false;
+        console.error(`Error monitoring ${name} blocks: ${error.message}`);
+        chainState.isConnected = false;
+    }
+}
+
+// Function to put a block on the retry list after it failed to fetch or process
+function addRetryBlock(chainState, blockNum, reason) {
+    const attempts = (chainState.retryBlocks[blockNum] || 0) + 1;
+    
+    // Give up on a block that keeps failing, so it isn't retried forever; it needs a backfill instead
+    if (attempts > config.maxBlockRetries) {
+        delete chainState.retryBlocks[blockNum];
+        console.error(`\n===== ${chainState.name.toUpperCase()} BLOCK ${blockNum} DROPPED FROM RETRY LIST =====`);
+        console.error(`Failed ${attempts} times, last error: ${reason}`);
+        console.error(`Re-scan it with: node monitor.js --backfill --chain=${chainState.key} --from-block=${blockNum} --to-block=${blockNum}\n`);
+        return;
+    }
+    
+    chainState.retryBlocks[blockNum] = attempts;
+    console.error(`Error processing ${chainState.name} block ${blockNum} (${reason}). Queued for retry (attempt ${attempts}/${config.maxBlockRetries + 1})`);
+}
+
+// Function to retry the blocks on a chain's retry list; blocks that fail again stay on the list
+// until they have failed more than maxBlockRetries times
+async function retryFailedBlocks(chainState) {
+    const blockNumbers = Object.keys(chainState.retryBlocks).map(Number).sort((a, b) => a - b);
+    if (blockNumbers.length === 0) return;
+    
+    console.log(`Retrying ${blockNumbers.length} failed ${chainState.name} blocks: ${blockNumbers.join(', ')}`);
+    for await (const { blockNum, block } of fetchBlocksInOrder(chainState, blockNumbers)) {
+        if (!block) {
+            addRetryBlock(chainState, blockNum, 'not returned by the RPC');
+            continue;
+        }
+        
+        try {
+            const tokenTransfers = await fetchTokenTransfers(chainState, blockNum, blockNum);
+            await processEvmBlockDeposits(chainState, block, tokenTransfers[blockNum] || []);
+            delete chainState.retryBlocks[blockNum];
+            console.log(`${chainState.name} block ${blockNum} processed on retry`);
+        } catch (error) {
+            addRetryBlock(chainState, blockNum, error.message);
+        }
     }
 }
 
+// Function to fetch blocks (with transactions) through JSON-RPC batch requests. Returns the blocks
+// in the same order as blockNumbers, with null for any block that couldn't be fetched.
+async function fetchBlockBatch(chainState, blockNumbers) {
+    const { web3 } = chainState;
+    
+    try {
+        const batch = new web3.BatchRequest();
+        const requests = blockNumbers.map(blockNum => batch.add({
+            jsonrpc: '2.0',
+            id: blockNum,
+            method: 'eth_getBlockByNumber',
+            params: ['0x' + blockNum.toString(16), true]
+        }));
+        // Individual failures are handled below; don't let them surface as unhandled rejections
+        requests.forEach(request => request.catch(() => {}));
+        
+        await batch.execute({ timeout: config.blockBatchTimeout });
+        const results = await Promise.allSettled(requests);
+        
+        return results.map(result => (result.status === 'fulfilled' && result.value) ?
+            Web3.utils.format(web3Eth.blockSchema, result.value, DEFAULT_RETURN_FORMAT) : null
+        );
+    } catch (error) {
+        // Some providers reject batch requests: fall back to one request per block
+        console.warn(`${chainState.name} batch request for blocks ${blockNumbers[0]}-${blockNumbers[blockNumbers.length - 1]} failed (${error.message}). Fetching individually`);
+        
+        const blocks = [];
+        for (const blockNum of blockNumbers) {
+            try {
+                blocks.push(await web3.eth.getBlock(blockNum, true));
+            } catch (blockError) {
+                blocks.push(null);
+            }
+        }
+        return blocks;
+    }
+}
+
+// Function to fetch blocks with up to blockFetchConcurrency batches in flight, yielding them in
+// the order given: { blockNum, block }, where block is null if it couldn't be fetched.
+async function* fetchBlocksInOrder(chainState, blockNumbers) {
+    const batches = [];
+    for (let i = 0; i < blockNumbers.length; i += config.blockBatchSize) {
+        batches.push(blockNumbers.slice(i, i + config.blockBatchSize));
+    }
+    
+    const inFlight = [];
+    let nextBatch = 0;
+    while (nextBatch < batches.length && inFlight.length < config.blockFetchConcurrency) {
+        inFlight.push(fetchBlockBatch(chainState, batches[nextBatch++]));
+    }
+    
+    for (let i = 0; i < batches.length; i++) {
+        const blocks = await inFlight.shift();
+        if (nextBatch < batches.length) {
+            inFlight.push(fetchBlockBatch(chainState, batches[nextBatch++]));
+        }
+        
+        for (let j = 0; j < blocks.length; j++) {
+            yield { blockNum: batches[i][j], block: blocks[j] };
+        }
+    }
+}
+
+// Function to detect deposits in one EVM block: native transfers, token Transfer logs and
+// (if tracing is enabled) internal transfers. Used by the live monitor and by backfills.
+async function processEvmBlockDeposits(chainState, block, tokenLogs) {
+    const { name } = chainState;
+    const addresses = monitoredAddresses[chainState.key];
+    const blockNum = safeBigInt(block.number);
+    
+    // Filter transactions for monitored addresses
+    const relevantTxs = block.transactions.filter(tx => 
+        tx.to && addresses.includes(tx.to.toLowerCase())
+    );
+
+    // Process relevant transactions
+    for (const tx of relevantTxs) {
+        const value = parseFloat(fromWei(tx.value));
+        
+        if (value >= chainState.minValue) {
+            const lowerToAddress = tx.to.toLowerCase();
+            const userInfo = addressToUserMap[lowerToAddress] || { userId: 'Unknown' };
+            
+            const txRecord = {
+                hash: tx.hash,
+                from: tx.from,
+                to: tx.to,
+                [chainState.valueField]: value,
+                amountRaw: tx.value.toString(),
+                decimals: 18,
+                blockNumber: blockNum,
+                blockHash: block.hash,
+                status: DEPOSIT_STATUS.PENDING,
+                requiredConfirmations: config.confirmations[chainState.key],
+                timestamp: block.timestamp ? new Date(safeBigInt(block.timestamp) * 1000).toISOString() : new Date().toISOString(),
+                userId: userInfo.userId,
+                chain: name
+            };
+            
+            // Add to history if not already present
+            if (await recordDeposit(txRecord)) {
+                // Display deposit information
+                console.log('\n===== NEW DEPOSIT DETECTED =====');
+                console.log(`Time: ${txRecord.timestamp}`);
+                console.log(`Block: ${blockNum}`);
+                console.log(`User: ${userInfo.userId}`);
+                console.log(`Chain: ${name}`);
+                console.log(`Amount: ${value.toFixed(6)} ${chainState.nativeSymbol}`);
+                console.log(`To: ${tx.to}`);
+                console.log(`From: ${tx.from}`);
+                console.log(`Transaction: ${tx.hash}`);
+                console.log(`Status: pending (${config.confirmations[chainState.key]} confirmations required)`);
+                console.log('================================\n');
+            }
+        }
+    }
+    
+    // Process token transfers to monitored addresses in this block
+    for (const log of tokenLogs) {
+        await processTokenTransfer(chainState, log, block);
+    }
+    
+    // Process value sent to monitored addresses by contracts (if tracing is enabled)
+    if (chainState.traceMethods.length > 0) {
+        const internalTransfers = await fetchInternalTransfers(chainState, blockNum, block);
+        for (const transfer of internalTransfers) {
+            await processInternalTransfer(chainState, transfer, block);
+        }
+    }
+}
+
+// Function to fetch ERC20 Transfer logs to monitored addresses, grouped by block number
+async function fetchTokenTransfers(chainState, fromBlock, toBlock) {
+    const transfersByBlock = {};
+    const tokenAddresses = Object.keys(chainState.tokens);
+    const addresses = monitoredAddresses[chainState.key];
+    
+    if (tokenAddresses.length === 0 || fromBlock > toBlock) {
+        return transfersByBlock;
+    }
+    
+    // Query in chunks to stay within provider limits on eth_getLogs ranges, asking only for
+    // transfers to monitored addresses so busy tokens don't exceed the provider's result cap
+    const logs = [];
+    const recipientTopics = getRecipientTopics(addresses);
+    for (let start = fromBlock; start <= toBlock; start += config.maxLogBlockRange) {
+        const end = Math.min(start + config.maxLogBlockRange - 1, toBlock);
+        for (let i = 0; i < recipientTopics.length; i += config.logAddressesPerQuery) {
+            const chunk = await chainState.web3.eth.getPastLogs({
+                fromBlock: start,
+                toBlock: end,
+                address: tokenAddresses,
+                topics: [TRANSFER_EVENT_TOPIC, null, recipientTopics.slice(i, i + config.logAddressesPerQuery)]
+            });
+            logs.push(...chunk);
+        }
+    }
+    
+    for (const log of logs) {
+        // Transfer(address indexed from, address indexed to, uint256 value)
+        if (!log.topics || log.topics.length < 3) continue;
+        
+        const toAddress = topicToAddress(log.topics[2]);
+        if (!addresses.includes(toAddress)) continue;
+        
+        const blockNum = safeBigInt(log.blockNumber);
+        if (!transfersByBlock[blockNum]) {
+            transfersByBlock[blockNum] = [];
+        }
+        transfersByBlock[blockNum].push(log);
+    }
+    
+    return transfersByBlock;
+}
+
+// Function to find value transfers to monitored addresses made inside contract execution, using
+// trace_block or debug_traceBlockByNumber. Top-level transfers are skipped (the block scan sees them),
+// as are calls that reverted. Returns [{ hash, from, to, value, tracePath }].
+async function fetchInternalTransfers(chainState, blockNum, block) {
+    const addresses = monitoredAddresses[chainState.key];
+    const blockTag = '0x' + blockNum.toString(16);
+    
+    while (chainState.traceMethods.length > 0) {
+        const method = chainState.traceMethods[0];
+        try {
+            if (method === 'trace_block') {
+                const traces = await chainState.web3.requestManager.send({ method, params: [blockTag] });
+                return parseTraceBlock(traces || [], addresses);
+            }
+            
+            const traces = await chainState.web3.requestManager.send({
+                method,
+                params: [blockTag, { tracer: 'callTracer' }]
+            });
+            return parseCallTracerBlock(traces || [], block, addresses);
+        } catch (error) {
+            if (!isUnsupportedMethodError(error)) throw error;
+            
+            // Fall back to the next method, or turn tracing off for this chain
+            console.warn(`${chainState.name} RPC doesn't support ${method} (${error.message}). Internal transfers via ${method} disabled`);
+            chainState.traceMethods.shift();
+        }
+    }
+    
+    return [];
+}
+
+// Check whether an RPC error means the method isn't available on this node/provider
+function isUnsupportedMethodError(error) {
+    const code = error.code !== undefined ? error.code : (error.innerError && error.innerError.code);
+    return code === -32601 || /method.*(not found|not supported|not available|does not exist)|not whitelisted/i.test(error.message || '');
+}
+
+// Function to pull internal value transfers out of trace_block (Parity/Erigon style) results
+function parseTraceBlock(traces, addresses) {
+    const transfers = [];
+    // Trace paths of calls that reverted, per transaction; anything beneath them is reverted too
+    const reverted = {};
+    
+    for (const trace of traces) {
+        if (!trace.transactionHash || !trace.traceAddress) continue;
+        const tracePath = trace.traceAddress.join('.');
+        
+        if (trace.error) {
+            (reverted[trace.transactionHash] = reverted[trace.transactionHash] || []).push(tracePath);
+            continue;
+        }
+        if (trace.traceAddress.length === 0) continue; // Top-level call: seen by the block scan
+        
+        const isRevertedChild = (reverted[trace.transactionHash] || []).some(path => 
+            path === '' || tracePath.startsWith(path + '.')
+        );
+        if (isRevertedChild) continue;
+        
+        const { action } = trace;
+        let from, to, value;
+        if (trace.type === 'call' && action.callType === 'call') {
+            ({ from, to, value } = action);
+        } else if (trace.type === 'suicide') {
+            from = action.address;
+            to = action.refundAddress;
+            value = action.balance;
+        } else {
+            continue;
+        }
+        
+        if (!to || !addresses.includes(to.toLowerCase())) continue;
+        const valueRaw = BigInt(value || 0);
+        if (valueRaw === 0n) continue;
+        
+        transfers.push({ hash: trace.transactionHash, from, to: to.toLowerCase(), value: valueRaw, tracePath });
+    }
+    
+    return transfers;
+}
+
+// Function to pull internal value transfers out of debug_traceBlockByNumber (callTracer) results
+function parseCallTracerBlock(traces, block, addresses) {
+    const transfers = [];
+    
+    const walk = (frame, hash, path) => {
+        if (frame.error) return; // A reverted call reverts everything beneath it
+        
+        const type = (frame.type || '').toUpperCase();
+        if (path.length > 0 && (type === 'CALL' || type === 'SELFDESTRUCT') && frame.to) {
+            const valueRaw = BigInt(frame.value || 0);
+            if (valueRaw > 0n && addresses.includes(frame.to.toLowerCase())) {
+                transfers.push({ hash, from: frame.from, to: frame.to.toLowerCase(), value: valueRaw, tracePath: path.join('.') });
+            }
+        }
+        
+        (frame.calls || []).forEach((call, i) => walk(call, hash, [...path, i]));
+    };
+    
+    traces.forEach((trace, i) => {
+        // Older nodes don't return txHash; results are in block transaction order
+        const tx = block.transactions[i];
+        const hash = trace.txHash || (tx && (tx.hash || tx));
+        if (trace.result && hash) walk(trace.result, hash, []);
+    });
+    
+    return transfers;
+}
+
+// Function to record an internal (contract-sent) native transfer as a deposit
+async function processInternalTransfer(chainState, transfer, block) {
+    const value = parseFloat(fromWei(transfer.value));
+    if (value < chainState.minValue) return;
+    
+    const userInfo = addressToUserMap[transfer.to] || { userId: 'Unknown' };
+    const blockNumber = safeBigInt(block.number);
+    
+    const txRecord = {
+        hash: transfer.hash,
+        from: transfer.from,
+        to: transfer.to,
+        [chainState.valueField]: value,
+        amountRaw: transfer.value.toString(),
+        decimals: 18,
+        tracePath: transfer.tracePath,
+        blockNumber: blockNumber,
+        blockHash: block.hash,
+        status: DEPOSIT_STATUS.PENDING,
+        requiredConfirmations: config.confirmations[chainState.key],
+        timestamp: block.timestamp ? new Date(safeBigInt(block.timestamp) * 1000).toISOString() : new Date().toISOString(),
+        userId: userInfo.userId,
+        chain: chainState.name
+    };
+    
+    if (!await recordDeposit(txRecord)) return;
+    
+    // Display deposit information
+    console.log('\n===== NEW INTERNAL DEPOSIT DETECTED =====');
+    console.log(`Time: ${txRecord.timestamp}`);
+    console.log(`Block: ${blockNumber}`);
+    console.log(`User: ${userInfo.userId}`);
+    console.log(`Chain: ${chainState.name}`);
+    console.log(`Amount: ${value.toFixed(6)} ${chainState.nativeSymbol}`);
+    console.log(`To: ${transfer.to}`);
+    console.log(`From: ${transfer.from} (contract)`);
+    console.log(`Transaction: ${transfer.hash} (trace ${transfer.tracePath})`);
+    console.log(`Status: pending (${config.confirmations[chainState.key]} confirmations required)`);
+    console.log('=========================================\n');
+}
+
+// Function to record a single ERC20 Transfer log as a deposit
+async function processTokenTransfer(chainState, log, block) {
+    const token = chainState.tokens[log.address.toLowerCase()];
+    if (!token) return;
+    
+    const amountRaw = BigInt(log.data && log.data !== '0x' ? log.data : 0);
+    if (amountRaw === 0n) return; // Skip zero-value (spam) transfers
+    
+    const logIndex = safeBigInt(log.logIndex);
+    
+    const toAddress = topicToAddress(log.topics[2]);
+    const fromAddress = topicToAddress(log.topics[1]);
+    const userInfo = addressToUserMap[toAddress] || { userId: 'Unknown' };
+    const valueToken = formatTokenAmount(amountRaw, token.decimals);
+    
+    const txRecord = {
+        hash: log.transactionHash,
+        from: fromAddress,
+        to: toAddress,
+        token: token.symbol,
+        tokenContract: token.address.toLowerCase(),
+        logIndex: logIndex,
+        amountRaw: amountRaw.toString(),
+        decimals: token.decimals,
+        valueToken: valueToken,
+        blockNumber: safeBigInt(log.blockNumber),
+        blockHash: log.blockHash,
+        status: DEPOSIT_STATUS.PENDING,
+        requiredConfirmations: config.confirmations[chainState.key],
+        timestamp: block.timestamp ? new Date(safeBigInt(block.timestamp) * 1000).toISOString() : new Date().toISOString(),
+        userId: userInfo.userId,
+        chain: chainState.name
+    };
+    
+    if (!await recordDeposit(txRecord)) return;
+    
+    // Display deposit information
+    console.log('\n===== NEW TOKEN DEPOSIT DETECTED =====');
+    console.log(`Time: ${txRecord.timestamp}`);
+    console.log(`Block: ${txRecord.blockNumber}`);
+    console.log(`User: ${userInfo.userId}`);
+    console.log(`Chain: ${chainState.name}`);
+    console.log(`Amount: ${valueToken} ${token.symbol}`);
+    console.log(`Contract: ${txRecord.tokenContract}`);
+    console.log(`To: ${toAddress}`);
+    console.log(`From: ${fromAddress}`);
+    console.log(`Transaction: ${log.transactionHash} (log ${logIndex})`);
+    console.log(`Status: pending (${config.confirmations[chainState.key]} confirmations required)`);
+    console.log('======================================\n');
+}
+
 // Function to monitor Solana transactions
 async function monitorSolanaTransactions() {
     if (!solanaConnected) {
@@ -633,107 +2032,45 @@ async function monitorSolanaTransactions() {
         }
     }
     
+    // Route this check to the healthiest endpoint
+    await solanaPool.checkHeads();
+    solanaConnection = solanaPool.getClient();
+    
     try {
         const currentSlot = await solanaConnection.getSlot();
         
         if (latestSolanaSlot === 0) {
-            latestSolanaSlot = currentSlot;
-            console.log(`Starting Solana monitoring from slot ${currentSlot}`);
-            return;
+            const checkpoint = await loadCheckpoint('solana');
+            latestSolanaSlot = getResumePosition('Solana', checkpoint, currentSlot, config.maxCatchUpSlots, 'slot');
+            
+            if (latestSolanaSlot === currentSlot) {
+                console.log(`Starting Solana monitoring from slot ${currentSlot}`);
+                await saveCheckpoint('solana', currentSlot);
+                return;
+            }
         }
         
-        // Fetch signatures for all monitored addresses
+        // Fetch signatures for all monitored addresses and their token accounts. A transfer into an
+        // existing token account doesn't include the owner wallet, so each token account is paged too.
         for (const address of monitoredAddresses.solana) {
+            await processSolanaAddress(address);
+            
             try {
-                const pubKey = new PublicKey(address);
-                const signatures = await solanaConnection.getSignaturesForAddress(pubKey, {
-                    limit: 10, // Limit to recent transactions
-                    before: latestSolanaSlot > 0 ? latestSolanaSlot.toString() : undefined
-                });
-                
-                // Process each signature/transaction
-                for (const sigInfo of signatures) {
-                    try {
-                        // Skip if we've already processed this transaction
-                        if (transactionHistory.some(tx => tx.hash === sigInfo.signature)) {
-                            continue;
-                        }
-                        
-                        // Get transaction details
-                        const tx = await solanaConnection.getTransaction(sigInfo.signature, {
-                            commitment: 'confirmed',
-                            maxSupportedTransactionVersion: 0
-                        });
-                        
-                        if (!tx || !tx.meta) continue;
-                        
-                        // Check for SOL transfers to the monitored address
-                        const postBalances = tx.meta.postBalances || [];
-                        const preBalances = tx.meta.preBalances || [];
-                        const accountKeys = tx.transaction.message.accountKeys || [];
-                        
-                        // Find the account index for our monitored address
-                        const accountIndex = accountKeys.findIndex(key => key.toString() === address);
-                        
-                        if (accountIndex >= 0 && accountIndex < postBalances.length && accountIndex < preBalances.length) {
-                            const preBalance = preBalances[accountIndex];
-                            const postBalance = postBalances[accountIndex];
-                            const valueSOL = (postBalance - preBalance) / 1000000000; // Convert from lamports to SOL
-                            
-                            // Only record if it's a deposit (value increased) and above minimum
-                            if (valueSOL > config.minValueSOL) {
-                                const userInfo = addressToUserMap[address] || { userId: 'Unknown', chain: 'Solana' };
-                                
-                                // Determine "from" address (usually the fee payer)
-                                const fromIndex = tx.transaction.message.accountKeys.findIndex(key => 
-                                    tx.meta.postBalances[key] < tx.meta.preBalances[key]
-                                );
-                                const fromAddress = fromIndex >= 0 ? 
-                                    tx.transaction.message.accountKeys[fromIndex].toString() : 'Unknown';
-                                
-                                const txRecord = {
-                                    hash: sigInfo.signature,
-                                    from: fromAddress,
-                                    to: address,
-                                    valueSOL: valueSOL,
-                                    blockNumber: sigInfo.slot,
-                                    timestamp: new Date(sigInfo.blockTime * 1000).toISOString(),
-                                    userId: userInfo.userId,
-                                    chain: 'Solana'
-                                };
-                                
-                                transactionHistory.push(txRecord);
-                                saveTransactionHistory();
-                                
-                                // Save to Firebase
-                                await saveDepositToFirebase(txRecord);
-                                
-                                // Display deposit information
-                                console.log('\n===== NEW SOLANA DEPOSIT DETECTED =====');
-                                console.log(`Time: ${txRecord.timestamp}`);
-                                console.log(`Slot: ${sigInfo.slot}`);
-                                console.log(`User: ${userInfo.userId}`);
-                                console.log(`Chain: Solana`);
-                                console.log(`Amount: ${valueSOL.toFixed(6)} SOL`);
-                                console.log(`To: ${address}`);
-                                console.log(`From: ${fromAddress}`);
-                                console.log(`Transaction: ${sigInfo.signature}`);
-                                console.log('=========================================\n');
-                            }
-                        }
-                    } catch (txError) {
-                        console.error(`Error processing Solana transaction ${sigInfo.signature}: ${txError.message}`);
-                        continue;
-                    }
+                for (const tokenAccount of await getSolanaTokenAccounts(address)) {
+                    await processSolanaAddress(address, latestSolanaSlot, tokenAccount);
                 }
-            } catch (addrError) {
-                console.error(`Error checking Solana address ${address}: ${addrError.message}`);
-                continue;
+            } catch (error) {
+                console.error(`Error fetching token accounts for Solana wallet ${address}: ${error.message}`);
             }
         }
+        await flushSignatureCursors();
         
         latestSolanaSlot = currentSlot;
         solanaRetryCount = 0;
+        await saveCheckpoint('solana', currentSlot);
+        
+        // Credit deposits that have reached the required commitment
+        await processPendingSolanaDeposits(currentSlot);
         
     } catch (error) {
         console.error(`Error monitoring Solana transactions: ${error.message}`);
@@ -741,6 +2078,519 @@ async function monitorSolanaTransactions() {
     }
 }
 
+// Function to list the token accounts owned by a Solana wallet (base58 addresses)
+async function getSolanaTokenAccounts(wallet) {
+    const tokenAccounts = await solanaConnection.getParsedTokenAccountsByOwner(
+        new PublicKey(wallet),
+        { programId: TOKEN_PROGRAM_ID }
+    );
+    return tokenAccounts.value.map(({ pubkey }) => pubkey.toString());
+}
+
+// Function to check every signature of a Solana address since its last processed signature.
+// Pages backwards from the newest signature until the cursor (or, for a new address, `fromSlot`)
+// is reached, then processes them oldest first and advances the cursor. `account` is the account
+// whose signatures are listed when it isn't the wallet itself (one of its token accounts).
+// Returns false if it stopped before the newest signature, so the check should be retried.
+async function processSolanaAddress(address, fromSlot = latestSolanaSlot, account = address) {
+    try {
+        const pubKey = new PublicKey(account);
+        const cursor = await loadSignatureCursor(account);
+        const newSignatures = [];
+        let before;
+        
+        while (true) {
+            const page = await solanaConnection.getSignaturesForAddress(pubKey, {
+                limit: config.solanaSignaturePageSize,
+                before,
+                until: cursor ? cursor.signature : undefined
+            });
+            
+            // Without a cursor, only look back as far as the slot we're resuming from
+            const inRange = cursor ? page : page.filter(sigInfo => sigInfo.slot > fromSlot);
+            newSignatures.push(...inRange);
+            
+            if (page.length < config.solanaSignaturePageSize || inRange.length < page.length) break;
+            before = page[page.length - 1].signature;
+        }
+        
+        if (newSignatures.length === 0) return true;
+        if (newSignatures.length > config.solanaSignaturePageSize) {
+            console.log(`Catching up on ${newSignatures.length} signatures for Solana address ${account}`);
+        }
+        
+        // Oldest first, so the cursor never moves past a signature that hasn't been processed
+        let lastProcessed = null;
+        let complete = true;
+        for (const sigInfo of newSignatures.reverse()) {
+            if (!await processSolanaSignature(address, sigInfo)) {
+                complete = false;
+                break;
+            }
+            lastProcessed = sigInfo;
+        }
+        
+        if (lastProcessed) {
+            saveSignatureCursor(account, lastProcessed.signature, lastProcessed.slot);
+        }
+        return complete;
+    } catch (addrError) {
+        console.error(`Error checking Solana address ${account}: ${addrError.message}`);
+        return false;
+    }
+}
+
+// Function to check a single Solana transaction for deposits (SOL and SPL tokens) to a monitored address.
+// Returns false if the transaction couldn't be checked yet and should be retried.
+async function processSolanaSignature(address, sigInfo) {
+    try {
+        // Skip if we've already processed this transaction for this address, or it failed on-chain.
+        // Backfills re-check every transaction so existing deposits show up in the summary.
+        if ((!backfill && isSolanaTransactionRecorded(sigInfo.signature, address)) || sigInfo.err) {
+            return true;
+        }
+        
+        // Get transaction details, with instructions parsed so the sender and memo can be read
+        const tx = await solanaConnection.getParsedTransaction(sigInfo.signature, {
+            commitment: 'confirmed',
+            maxSupportedTransactionVersion: 0
+        });
+        
+        if (!tx) return false;
+        if (!tx.meta) return true;
+        
+        const userInfo = addressToUserMap[address] || { userId: 'Unknown', chain: 'Solana' };
+        const slot = tx.slot || sigInfo.slot;
+        const blockTime = tx.blockTime || sigInfo.blockTime;
+        const deposits = [];
+        
+        // Fields shared by every deposit found in this transaction
+        const baseRecord = {
+            hash: sigInfo.signature,
+            to: address,
+            blockNumber: slot,
+            status: DEPOSIT_STATUS.PENDING,
+            requiredConfirmations: config.confirmations.solana,
+            timestamp: blockTime ? new Date(blockTime * 1000).toISOString() : new Date().toISOString(),
+            userId: userInfo.userId,
+            chain: 'Solana'
+        };
+        
+        // Check for SOL transfers to the monitored address
+        const postBalances = tx.meta.postBalances || [];
+        const preBalances = tx.meta.preBalances || [];
+        const accountKeys = getSolanaAccountKeys(tx);
+        const { transfers, memo } = getSolanaTransferInstructions(tx);
+        
+        // Find the account index for our monitored address
+        const accountIndex = accountKeys.indexOf(address);
+        
+        if (accountIndex >= 0 && accountIndex < postBalances.length && accountIndex < preBalances.length) {
+            const preBalance = preBalances[accountIndex];
+            const postBalance = postBalances[accountIndex];
+            const valueSOL = (postBalance - preBalance) / 1000000000; // Convert from lamports to SOL
+            
+            // Only record if it's a deposit (value increased) and above minimum
+            if (valueSOL > config.minValueSOL) {
+                // The sender is the source of the system transfer into the wallet
+                const transfer = findIncomingTransfer(transfers, 'sol', address);
+                
+                deposits.push({
+                    ...baseRecord,
+                    from: transfer ? transfer.source : 'Unknown',
+                    accountIndex: accountIndex,
+                    instructionIndex: transfer ? transfer.index : null,
+                    memo: memo,
+                    valueSOL: valueSOL,
+                    amountRaw: (postBalance - preBalance).toString(),
+                    decimals: 9
+                });
+            }
+        }
+        
+        // Check for SPL token transfers to token accounts owned by the monitored address
+        for (const tokenDeposit of getSplTokenDeposits(tx, accountKeys, address, transfers)) {
+            deposits.push({ ...baseRecord, ...tokenDeposit, memo: memo });
+        }
+        
+        for (const txRecord of deposits) {
+            if (!await recordDeposit(txRecord)) continue;
+            
+            // Display deposit information
+            console.log(`\n===== NEW SOLANA ${txRecord.token ? 'TOKEN ' : ''}DEPOSIT DETECTED =====`);
+            console.log(`Time: ${txRecord.timestamp}`);
+            console.log(`Slot: ${slot}`);
+            console.log(`User: ${userInfo.userId}`);
+            console.log(`Chain: Solana`);
+            if (txRecord.token) {
+                console.log(`Amount: ${txRecord.valueToken} ${txRecord.token}`);
+                console.log(`Mint: ${txRecord.mint}`);
+                console.log(`Token account: ${txRecord.tokenAccount}`);
+            } else {
+                console.log(`Amount: ${txRecord.valueSOL.toFixed(6)} SOL`);
+            }
+            console.log(`To: ${address}`);
+            console.log(`From: ${txRecord.from}`);
+            if (txRecord.memo) console.log(`Memo: ${txRecord.memo}`);
+            console.log(`Transaction: ${sigInfo.signature}${txRecord.instructionIndex ? ` (instruction ${txRecord.instructionIndex})` : ''}`);
+            console.log(`Status: pending (waiting for ${config.confirmations.solana} commitment)`);
+            console.log('=========================================\n');
+        }
+    } catch (txError) {
+        console.error(`Error processing Solana transaction ${sigInfo.signature}: ${txError.message}`);
+        return false;
+    }
+    
+    return true;
+}
+
+// Function to get the full account key list of a transaction as base58 strings. Versioned (v0)
+// transactions load extra accounts from lookup tables; the balance arrays in meta index the static
+// keys first, then the loaded writable addresses, then the loaded readonly addresses.
+function getSolanaAccountKeys(tx) {
+    const message = tx.transaction.message;
+    
+    // Parsed transactions already list every account, lookup table accounts included
+    if (message.accountKeys && message.accountKeys.length > 0 && message.accountKeys[0].pubkey) {
+        return message.accountKeys.map(key => key.pubkey.toString());
+    }
+    
+    const staticKeys = message.staticAccountKeys || message.accountKeys || [];
+    const loadedAddresses = (tx.meta && tx.meta.loadedAddresses) || {};
+    
+    return [
+        ...staticKeys,
+        ...(loadedAddresses.writable || []),
+        ...(loadedAddresses.readonly || [])
+    ].map(key => key.toString());
+}
+
+// Function to list the SOL/SPL transfer instructions and memos of a parsed Solana transaction,
+// including inner (CPI) instructions. Inner instruction indexes are written as "<outer>.<inner>".
+function getSolanaTransferInstructions(tx) {
+    const transfers = [];
+    const memos = [];
+    
+    const inspect = (instruction, index) => {
+        if (instruction.program === 'spl-memo') {
+            memos.push(instruction.parsed);
+            return;
+        }
+        
+        const parsed = instruction.parsed;
+        if (!parsed || typeof parsed !== 'object' || !parsed.info) return;
+        const { info } = parsed;
+        
+        if (instruction.program === 'system' && (parsed.type === 'transfer' || parsed.type === 'transferWithSeed')) {
+            transfers.push({
+                type: 'sol',
+                index,
+                source: info.source,
+                destination: info.destination,
+                amountRaw: BigInt(info.lamports)
+            });
+        } else if ((instruction.program === 'spl-token' || instruction.program === 'spl-token-2022') &&
+                   (parsed.type === 'transfer' || parsed.type === 'transferChecked')) {
+            transfers.push({
+                type: 'token',
+                index,
+                source: info.source,
+                destination: info.destination,
+                authority: info.authority || info.multisigAuthority || null,
+                amountRaw: BigInt(info.amount || (info.tokenAmount && info.tokenAmount.amount) || 0)
+            });
+        }
+    };
+    
+    tx.transaction.message.instructions.forEach((instruction, i) => inspect(instruction, `${i}`));
+    for (const inner of tx.meta.innerInstructions || []) {
+        inner.instructions.forEach((instruction, j) => inspect(instruction, `${inner.index}.${j}`));
+    }
+    
+    return { transfers, memo: memos.length > 0 ? memos.join(' | ') : null };
+}
+
+// Function to pick the transfer instruction that paid into an account (the largest, if several did)
+function findIncomingTransfer(transfers, type, destination) {
+    return transfers
+        .filter(transfer => transfer.type === type && transfer.destination === destination)
+        .reduce((best, transfer) => (!best || transfer.amountRaw > best.amountRaw ? transfer : best), null);
+}
+
+// Function to find SPL token deposits to accounts owned by a wallet, from the transaction's
+// pre/post token balances. Only mints listed in solanaTokenMetadata are reported.
+function getSplTokenDeposits(tx, accountKeys, owner, transfers) {
+    const preTokenBalances = tx.meta.preTokenBalances || [];
+    const postTokenBalances = tx.meta.postTokenBalances || [];
+    const rawAmountAt = (balances, index) => {
+        const entry = balances.find(balance => balance.accountIndex === index);
+        return entry ? BigInt(entry.uiTokenAmount.amount) : 0n;
+    };
+    
+    const deposits = [];
+    for (const post of postTokenBalances) {
+        if (post.owner !== owner) continue;
+        
+        const amountRaw = rawAmountAt(postTokenBalances, post.accountIndex) - rawAmountAt(preTokenBalances, post.accountIndex);
+        if (amountRaw <= 0n) continue;
+        
+        const metadata = solanaTokenMetadata[post.mint];
+        if (!metadata) {
+            console.log(`Ignoring transfer of unlisted SPL token ${post.mint} to ${owner}`);
+            continue;
+        }
+        
+        // The sender is the owner of the source account of the token transfer into this account.
+        // Without a matching instruction, fall back to an account of the same mint that went down.
+        const tokenAccount = accountKeys[post.accountIndex] || null;
+        const transfer = tokenAccount ? findIncomingTransfer(transfers, 'token', tokenAccount) : null;
+        let from = 'Unknown';
+        
+        if (transfer) {
+            const source = preTokenBalances.find(pre => accountKeys[pre.accountIndex] === transfer.source);
+            from = source && source.owner ? source.owner : (transfer.authority || transfer.source);
+        } else {
+            const sender = preTokenBalances.find(pre => 
+                pre.mint === post.mint && pre.owner !== owner &&
+                rawAmountAt(postTokenBalances, pre.accountIndex) < BigInt(pre.uiTokenAmount.amount)
+            );
+            if (sender && sender.owner) from = sender.owner;
+        }
+        
+        const decimals = post.uiTokenAmount.decimals;
+        deposits.push({
+            from: from,
+            instructionIndex: transfer ? transfer.index : null,
+            token: metadata.symbol,
+            mint: post.mint,
+            tokenAccount: tokenAccount,
+            tokenAccountIndex: post.accountIndex,
+            amountRaw: amountRaw.toString(),
+            decimals: decimals,
+            valueToken: formatTokenAmount(amountRaw, decimals)
+        });
+    }
+    
+    return deposits;
+}
+
+// Function to start watching Solana wallets (logsSubscribe) and their token accounts (accountSubscribe).
+// Transactions are only fetched when a subscription signals a change. After (re)connecting, a full
+// polling pass reconciles anything that happened while the socket was down.
+async function startSolanaSubscriptions() {
+    solanaWatcher.lastAttempt = Date.now();
+    console.log(`Opening Solana WebSocket subscriptions: ${config.solanaWsURL}`);
+    
+    try {
+        // Only used for subscriptions; every HTTP read goes through the pooled solanaConnection
+        const connection = new Connection(solanaPool.getEndpoint().url, {
+            wsEndpoint: config.solanaWsURL,
+            commitment: 'confirmed'
+        });
+        solanaWatcher.connection = connection;
+        
+        solanaWatcher.slotSubscriptionId = connection.onSlotChange(slotInfo => {
+            solanaWatcher.lastSlot = slotInfo.slot;
+            solanaWatcher.lastSlotAt = Date.now();
+        });
+        
+        await syncSolanaSubscriptions(true);
+        
+        solanaWatcher.active = true;
+        solanaWatcher.lastSlotAt = Date.now();
+        console.log(`Solana monitoring is now driven by subscriptions (${Object.keys(solanaWatcher.subscriptions).length} accounts watched)`);
+        
+        // Reconcile with polling for anything missed while not subscribed
+        await monitorSolanaTransactions();
+    } catch (error) {
+        console.error(`Failed to open Solana subscriptions: ${error.message}`);
+        stopSolanaSubscriptions(error.message);
+    }
+}
+
+// Function to close the Solana subscriptions and fall back to polling
+function stopSolanaSubscriptions(reason) {
+    const { connection } = solanaWatcher;
+    if (!connection) return;
+    
+    for (const { type, id } of Object.values(solanaWatcher.subscriptions)) {
+        const remove = type === 'logs' ? connection.removeOnLogsListener(id) : connection.removeAccountChangeListener(id);
+        remove.catch(() => {});
+    }
+    if (solanaWatcher.slotSubscriptionId !== null) {
+        connection.removeSlotChangeListener(solanaWatcher.slotSubscriptionId).catch(() => {});
+    }
+    
+    solanaWatcher.connection = null;
+    solanaWatcher.slotSubscriptionId = null;
+    solanaWatcher.subscriptions = {};
+    solanaWatcher.tokenAccountOwners = {};
+    solanaWatcher.lastTokenAccountRefresh = 0;
+    // Polling picks up from the same cursors
+    solanaWatcher.pendingChecks = {};
+    
+    if (solanaWatcher.active) {
+        solanaWatcher.active = false;
+        console.warn(`Solana subscriptions dropped (${reason}). Falling back to polling`);
+    }
+}
+
+// Function to keep the subscriptions in line with the monitored wallets and their token accounts
+async function syncSolanaSubscriptions(refreshTokenAccounts) {
+    const { connection } = solanaWatcher;
+    const wallets = monitoredAddresses.solana;
+    
+    // Wallets: logsSubscribe delivers the signature of every transaction mentioning the wallet
+    for (const wallet of wallets) {
+        if (solanaWatcher.subscriptions[wallet]) continue;
+        const id = connection.onLogs(new PublicKey(wallet), (logs, ctx) => {
+            if (logs.err) return; // Failed transactions can't be deposits
+            requestSolanaAccountCheck(wallet, wallet, ctx.slot - 1);
+        }, 'confirmed');
+        solanaWatcher.subscriptions[wallet] = { type: 'logs', id };
+    }
+    
+    // Token accounts are only refreshed with the wallet list, to keep RPC usage low
+    if (refreshTokenAccounts || Date.now() - solanaWatcher.lastTokenAccountRefresh >= config.walletRefreshInterval) {
+        solanaWatcher.lastTokenAccountRefresh = Date.now();
+        
+        for (const wallet of wallets) {
+            try {
+                for (const tokenAccount of await getSolanaTokenAccounts(wallet)) {
+                    watchSolanaTokenAccount(tokenAccount, wallet);
+                }
+            } catch (error) {
+                console.error(`Error fetching token accounts for Solana wallet ${wallet}: ${error.message}`);
+            }
+        }
+    }
+    
+    // Drop subscriptions for wallets that are no longer monitored (and their token accounts)
+    for (const [account, subscription] of Object.entries(solanaWatcher.subscriptions)) {
+        const owner = solanaWatcher.tokenAccountOwners[account] || account;
+        if (wallets.includes(owner)) continue;
+        
+        const remove = subscription.type === 'logs' ? connection.removeOnLogsListener(subscription.id) : connection.removeAccountChangeListener(subscription.id);
+        remove.catch(() => {});
+        delete solanaWatcher.subscriptions[account];
+        delete solanaWatcher.tokenAccountOwners[account];
+    }
+}
+
+// Function to watch a token account: on change, check its signatures since its own cursor
+function watchSolanaTokenAccount(tokenAccount, owner) {
+    if (solanaWatcher.subscriptions[tokenAccount]) return;
+    
+    const { connection } = solanaWatcher;
+    const id = connection.onAccountChange(new PublicKey(tokenAccount), (accountInfo, ctx) => {
+        requestSolanaAccountCheck(owner, tokenAccount, ctx.slot - 1);
+    }, 'confirmed');
+    
+    solanaWatcher.subscriptions[tokenAccount] = { type: 'account', id };
+    solanaWatcher.tokenAccountOwners[tokenAccount] = owner;
+}
+
+// Function to queue a cursor-based check of a watched account after a notification. Checks of the
+// same account never overlap: a notification during a check queues another pass, and a pass that
+// stops early (e.g. the RPC doesn't have the transaction yet) stays queued for the next tick.
+function requestSolanaAccountCheck(owner, account, fromSlot) {
+    const queued = solanaWatcher.pendingChecks[account];
+    solanaWatcher.pendingChecks[account] = {
+        owner,
+        fromSlot: queued ? Math.min(queued.fromSlot, fromSlot) : fromSlot
+    };
+    runSolanaAccountChecks(account);
+}
+
+// Function to run the queued checks of a watched account until none are left or one stops early
+async function runSolanaAccountChecks(account) {
+    if (solanaWatcher.checksInProgress[account]) return;
+    solanaWatcher.checksInProgress[account] = true;
+    
+    try {
+        while (solanaWatcher.pendingChecks[account]) {
+            const { owner, fromSlot } = solanaWatcher.pendingChecks[account];
+            delete solanaWatcher.pendingChecks[account];
+            
+            if (!await processSolanaAddress(owner, Math.min(fromSlot, latestSolanaSlot), account)) {
+                const queued = solanaWatcher.pendingChecks[account];
+                solanaWatcher.pendingChecks[account] = { owner, fromSlot: queued ? Math.min(queued.fromSlot, fromSlot) : fromSlot };
+                break;
+            }
+        }
+    } finally {
+        delete solanaWatcher.checksInProgress[account];
+    }
+}
+
+// Function run on every check while subscriptions are active: sync them, checkpoint and confirm deposits
+async function solanaSubscriptionTick() {
+    try {
+        // Route this tick's reads to the healthiest endpoint
+        await solanaPool.checkHeads();
+        solanaConnection = solanaPool.getClient();
+        
+        await syncSolanaSubscriptions(false);
+        
+        // Retry checks that stopped early, so no notified transaction is left behind
+        for (const account of Object.keys(solanaWatcher.pendingChecks)) {
+            await runSolanaAccountChecks(account);
+        }
+        await flushSignatureCursors();
+        
+        if (solanaWatcher.lastSlot > latestSolanaSlot) {
+            latestSolanaSlot = solanaWatcher.lastSlot;
+            await saveCheckpoint('solana', latestSolanaSlot);
+        }
+        
+        await processPendingSolanaDeposits(latestSolanaSlot);
+    } catch (error) {
+        console.error(`Error in Solana subscription check: ${error.message}`);
+    }
+}
+
+// Function to confirm, credit or orphan pending Solana deposits based on their signature status
+// (all of them, or only those in `deposits`)
+async function processPendingSolanaDeposits(currentSlot, deposits = transactionHistory) {
+    const pending = deposits.filter(t => 
+        t.chain === 'Solana' && t.status === DEPOSIT_STATUS.PENDING
+    );
+    if (pending.length === 0) return;
+    
+    try {
+        // getSignatureStatuses accepts at most 256 signatures per request
+        const statuses = [];
+        for (let i = 0; i < pending.length; i += 256) {
+            const { value } = await solanaConnection.getSignatureStatuses(
+                pending.slice(i, i + 256).map(deposit => deposit.hash),
+                { searchTransactionHistory: true }
+            );
+            statuses.push(...value);
+        }
+        
+        for (let i = 0; i < pending.length; i++) {
+            const deposit = pending[i];
+            const status = statuses[i];
+            
+            if (!status) {
+                // Not known to the cluster any more: the fork it landed on was abandoned
+                if (currentSlot - deposit.blockNumber > config.solanaDropAfterSlots) {
+                    await orphanDeposit(deposit, `Transaction dropped (slot ${deposit.blockNumber} skipped)`);
+                }
+            } else if (status.err) {
+                await updateDepositStatus(deposit, DEPOSIT_STATUS.FAILED, { flagged: true, flagReason: 'Transaction failed' });
+            } else if (status.confirmationStatus === config.confirmations.solana) {
+                if (status.slot !== deposit.blockNumber) {
+                    await updateDepositStatus(deposit, deposit.status, { blockNumber: status.slot });
+                }
+                await creditDeposit(deposit);
+            }
+        }
+    } catch (error) {
+        console.error(`Error confirming pending Solana deposits: ${error.message}`);
+    }
+}
+
 // Function to schedule next check
 function scheduleNextCheck() {
     if (monitoringInterval) {
@@ -776,11 +2626,25 @@ if (config.saveToFile && fs.existsSync(config.historyFile)) {
     }
 }
 
+// Load block/slot checkpoints if available
+if (fs.existsSync(config.checkpointFile)) {
+    try {
+        checkpoints = JSON.parse(fs.readFileSync(config.checkpointFile, 'utf8'));
+        const chainNames = Object.keys(checkpoints).filter(key => key !== 'solanaSignatures');
+        console.log(`Loaded checkpoints for ${chainNames.join(', ') || 'no chains'}`);
+    } catch (error) {
+        console.error(`Error loading checkpoints: ${error.message}`);
+    }
+}
+
 // Display startup information
 console.log('=======================================================');
 console.log('DEPOSIT MONITOR v3.0 (Multi-chain)');
 console.log('=======================================================');
 console.log(`Monitoring chains: ${uniqueChains.join(', ')}`);
+if (backfill) {
+    console.log(`Backfill mode${backfill.credit ? '' : ' (balance crediting disabled)'}`);
+}
 if (config.firebaseEnabled) {
     console.log('Firebase integration enabled');
     console.log('Initializing and fetching wallet addresses from Firebase...');
@@ -801,8 +2665,10 @@ async function startMonitoring() {
         }
         
         // Initialize connections for selected chains
-        if (uniqueChains.includes('ethereum')) {
-            await initializeWeb3();
+        for (const chain of ['ethereum', 'bsc']) {
+            if (uniqueChains.includes(chain)) {
+                await initializeWeb3(evmChains[chain]);
+            }
         }
         
         if (uniqueChains.includes('solana')) {
@@ -820,8 +2686,167 @@ async function startMonitoring() {
     }
 }
 
-// Start monitoring
-startMonitoring();
+// Run a historical backfill for one chain, print a summary and exit.
+// Reuses the live detection code; deposit IDs are deterministic, so re-running a range is safe.
+async function runBackfill() {
+    const chain = backfill.chain;
+    
+    try {
+        await fetchWalletAddresses();
+        if (monitoredAddresses[chain].length === 0) {
+            console.error(`No ${chain} addresses to backfill`);
+            process.exit(1);
+        }
+        
+        let currentPosition;
+        if (chain === 'solana') {
+            if (!await initializeSolana()) process.exit(1);
+            currentPosition = await solanaConnection.getSlot();
+            await backfillSolana();
+        } else {
+            const chainState = evmChains[chain];
+            if (!await initializeWeb3(chainState)) process.exit(1);
+            currentPosition = safeBigInt(await chainState.web3.eth.getBlockNumber());
+            await backfillEvm(chainState, backfill.fromBlock, Math.min(backfill.toBlock, currentPosition));
+        }
+        
+        // Credit deposits from the range once they reach the required confirmations. The live monitor
+        // only promotes deposits from its own history, so wait for them here rather than leave them pending.
+        if (backfill.credit) {
+            await confirmBackfillDeposits(chain, currentPosition);
+        }
+        
+        const credited = backfill.found.filter(deposit => deposit.status === DEPOSIT_STATUS.CREDITED).length;
+        const stillPending = [...backfill.found, ...backfill.adopted].filter(deposit => deposit.status === DEPOSIT_STATUS.PENDING);
+        console.log('\n===== BACKFILL SUMMARY =====');
+        console.log(`Chain: ${chain}`);
+        console.log(`New deposits found: ${backfill.found.length}`);
+        console.log(`Already recorded: ${backfill.existing}`);
+        console.log(backfill.credit ? `Credited: ${credited}` : 'Crediting skipped (--no-credit); new deposits left pending');
+        if (backfill.credit && stillPending.length > 0) {
+            console.log(`Still pending after ${config.backfillConfirmTimeout / 60000} minutes (re-run the range to credit them): ${stillPending.map(deposit => deposit.hash).join(', ')}`);
+        }
+        if (backfill.failed.length > 0) {
+            console.log(`Failed (re-run these): ${backfill.failed.join(', ')}`);
+        }
+        for (const deposit of backfill.found) {
+            const { amount, symbol } = getDepositAmount(deposit);
+            console.log(`  ${deposit.hash} ${amount} ${(symbol || '').toUpperCase()} -> ${deposit.to} (${deposit.status})`);
+        }
+        console.log('============================\n');
+        process.exit(backfill.failed.length > 0 ? 1 : 0);
+    } catch (error) {
+        console.error('Backfill failed:', error);
+        process.exit(1);
+    }
+}
+
+// Function to credit the deposits a backfill found, polling until none are pending or the wait runs out.
+// Only this run's deposits are processed, so a backfill never races the live monitor on its own deposits.
+async function confirmBackfillDeposits(chain, currentPosition) {
+    const waitUntil = Date.now() + config.backfillConfirmTimeout;
+    
+    while (true) {
+        // Re-read every pass: a reorg can replace a deposit with a new record (see relocateDeposit)
+        const deposits = [...backfill.found, ...backfill.adopted];
+        if (chain === 'solana') {
+            await processPendingSolanaDeposits(currentPosition, deposits);
+        } else {
+            await processPendingDeposits(evmChains[chain], currentPosition, deposits);
+        }
+        
+        const pending = [...backfill.found, ...backfill.adopted].filter(deposit => deposit.status === DEPOSIT_STATUS.PENDING).length;
+        if (pending === 0 || Date.now() >= waitUntil) return;
+        
+        console.log(`Waiting for ${pending} backfilled deposit(s) to reach the required confirmations...`);
+        await new Promise(resolve => setTimeout(resolve, config.pollingInterval));
+        
+        try {
+            currentPosition = chain === 'solana'
+                ? await solanaConnection.getSlot()
+                : safeBigInt(await evmChains[chain].web3.eth.getBlockNumber());
+        } catch (error) {
+            console.error(`Error fetching the latest ${chain} position: ${error.message}`);
+        }
+    }
+}
+
+// Function to re-scan an EVM block range for deposits
+async function backfillEvm(chainState, fromBlock, toBlock) {
+    console.log(`Backfilling ${chainState.name} blocks ${fromBlock}-${toBlock} for ${monitoredAddresses[chainState.key].length} addresses`);
+    const tokenTransfers = await fetchTokenTransfers(chainState, fromBlock, toBlock);
+    
+    const blockNumbers = [];
+    for (let blockNum = fromBlock; blockNum <= toBlock; blockNum++) {
+        blockNumbers.push(blockNum);
+    }
+    
+    for await (const { blockNum, block } of fetchBlocksInOrder(chainState, blockNumbers)) {
+        try {
+            if (!block) throw new Error('block not returned by the RPC');
+            if (block.transactions) {
+                await processEvmBlockDeposits(chainState, block, tokenTransfers[blockNum] || []);
+            }
+        } catch (error) {
+            console.error(`Error backfilling ${chainState.name} block ${blockNum}: ${error.message}`);
+            backfill.failed.push(blockNum);
+        }
+        
+        if ((blockNum - fromBlock + 1) % 1000 === 0) {
+            console.log(`Backfilled ${blockNum - fromBlock + 1}/${toBlock - fromBlock + 1} ${chainState.name} blocks`);
+        }
+    }
+}
+
+// Function to re-scan Solana signatures in a slot and/or signature range for every monitored address.
+// Signature cursors are left alone, so the live monitor is unaffected.
+async function backfillSolana() {
+    const { fromSlot, toSlot, beforeSignature, untilSignature } = backfill;
+    console.log(`Backfilling Solana slots ${fromSlot !== null ? fromSlot : 'start'}-${toSlot !== null ? toSlot : 'latest'}` +
+        `${beforeSignature ? ` before ${beforeSignature}` : ''}${untilSignature ? ` until ${untilSignature}` : ''}`);
+    
+    for (const address of monitoredAddresses.solana) {
+        const pubKey = new PublicKey(address);
+        const signatures = [];
+        let before = beforeSignature || undefined;
+        
+        try {
+            while (true) {
+                const page = await solanaConnection.getSignaturesForAddress(pubKey, {
+                    limit: config.solanaSignaturePageSize,
+                    before,
+                    until: untilSignature || undefined
+                });
+                
+                signatures.push(...page.filter(sigInfo => 
+                    (fromSlot === null || sigInfo.slot >= fromSlot) && (toSlot === null || sigInfo.slot <= toSlot)
+                ));
+                
+                const reachedStart = fromSlot !== null && page.length > 0 && page[page.length - 1].slot < fromSlot;
+                if (page.length < config.solanaSignaturePageSize || reachedStart) break;
+                before = page[page.length - 1].signature;
+            }
+        } catch (error) {
+            console.error(`Error listing signatures for Solana address ${address}: ${error.message}`);
+            backfill.failed.push(address);
+            continue;
+        }
+        
+        console.log(`Checking ${signatures.length} signatures for Solana address ${address}`);
+        for (const sigInfo of signatures.reverse()) {
+            if (!await processSolanaSignature(address, sigInfo)) {
+                backfill.failed.push(sigInfo.signature);
+            }
+        }
+    }
+}
+
+// Start monitoring, or run a one-off backfill
+if (backfill) {
+    runBackfill();
+} else {
+    startMonitoring();
+}
 
 // Handle process termination
 process.on('SIGINT', () => {
@@ -832,15 +2857,17 @@ process.on('SIGINT', () => {
     if (walletRefreshInterval) {
         clearInterval(walletRefreshInterval);
     }
+    Object.values(evmChains).forEach(chainState => stopEvmSubscriptions(chainState, 'shutting down'));
+    stopSolanaSubscriptions('shutting down');
     process.exit(0);
 });
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
     console.error('Uncaught exception:', error);
-    isConnected = false;
+    Object.values(evmChains).forEach(chainState => { chainState.isConnected = false; });
     solanaConnected = false;
-    if (!monitoringInterval) {
+    if (!monitoringInterval && !backfill) {
         scheduleNextCheck();
     }
 });
@@ -848,9 +2875,9 @@ process.on('uncaughtException', (error) => {
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (error) => {
     console.error('Unhandled promise rejection:', error);
-    isConnected = false;
+    Object.values(evmChains).forEach(chainState => { chainState.isConnected = false; });
     solanaConnected = false;
-    if (!monitoringInterval) {
+    if (!monitoringInterval && !backfill) {
         scheduleNextCheck();
     }
 });
@@ -74,6 +74,9 @@ document.addEventListener('DOMContentLoaded', function() {
         const ethNonZeroCount = document.getElementById('ethNonZeroCount');
         const bscNonZeroCount = document.getElementById('bscNonZeroCount');
         const solNonZeroCount = document.getElementById('solNonZeroCount');
+        const ethTokenOnlyCount = document.getElementById('ethTokenOnlyCount');
+        const bscTokenOnlyCount = document.getElementById('bscTokenOnlyCount');
+        const solTokenOnlyCount = document.getElementById('solTokenOnlyCount');
         
         // Modal
         const scanModal = new bootstrap.Modal(document.getElementById('scanModal'));
@@ -81,6 +84,9 @@ document.addEventListener('DOMContentLoaded', function() {
         // Chain filter radios
         const chainFilterRadios = document.querySelectorAll('input[name="chainFilter"]');
         
+        // Token-only filter toggle
+        const tokenOnlyFilter = document.getElementById('filterTokenOnly');
+        
         // Socket.io connection
         const socket = io();
         
@@ -159,6 +165,11 @@ document.addEventListener('DOMContentLoaded', function() {
             });
         });
         
+        // Token-only filter change event
+        tokenOnlyFilter.addEventListener('change', function() {
+            updateBalanceTable();
+        });
+        
         /**
          * Get selected chains from checkboxes
          */
@@ -228,6 +239,11 @@ document.addEventListener('DOMContentLoaded', function() {
             ethNonZeroCount.textContent = summary.nonZeroEthereumCount || 0;
             bscNonZeroCount.textContent = summary.nonZeroBscCount || 0;
             solNonZeroCount.textContent = summary.nonZeroSolanaCount || 0;
+            
+            // Update token-only counts (tokens but no native balance for fees)
+            ethTokenOnlyCount.textContent = summary.tokenOnlyEthereumCount || 0;
+            bscTokenOnlyCount.textContent = summary.tokenOnlyBscCount || 0;
+            solTokenOnlyCount.textContent = summary.tokenOnlySolanaCount || 0;
         }
         
         /**
@@ -251,6 +267,8 @@ document.addEventListener('DOMContentLoaded', function() {
                         chain: 'Ethereum',
                         address: address,
                         balance: data.nativeBalance,
+                        tokens: data.tokens || {},
+                        tokenOnly: !!data.tokenOnly,
                         lastScanned: data.lastScanned
                     });
                 }
@@ -264,6 +282,8 @@ document.addEventListener('DOMContentLoaded', function() {
                         chain: 'BSC',
                         address: address,
                         balance: data.nativeBalance,
+                        tokens: data.tokens || {},
+                        tokenOnly: !!data.tokenOnly,
                         lastScanned: data.lastScanned
                     });
                 }
@@ -277,18 +297,23 @@ document.addEventListener('DOMContentLoaded', function() {
                         chain: 'Solana',
                         address: address,
                         balance: data.nativeBalance,
+                        tokens: data.tokens || {},
+                        tokenOnly: !!data.tokenOnly,
                         lastScanned: data.lastScanned
                     });
                 }
             }
             
             // Sort by balance (highest first)
-            balancesToShow.sort((a, b) => b.balance - a.balance);
+            balancesToShow.sort((a, b) => (b.balance || 0) - (a.balance || 0));
             
             // Add rows to table
             balancesToShow.forEach(item => {
-                // Skip zero balances
-                if (item.balance <= 0) return;
+                // Skip zero balances, but keep token-only wallets
+                if (!(item.balance > 0) && !item.tokenOnly) return;
+                
+                // Only token-only wallets when that filter is on
+                if (tokenOnlyFilter.checked && !item.tokenOnly) return;
                 
                 const row = document.createElement('tr');
                 
@@ -307,7 +332,13 @@ document.addEventListener('DOMContentLoaded', function() {
                 }
                 
                 // Format the balance to 6 decimal places
-                const formattedBalance = parseFloat(item.balance).toFixed(6);
+                const formattedBalance = parseFloat(item.balance || 0).toFixed(6);
+                
+                // List token balances, e.g. "USDT: 100.000000"
+                const formattedTokens = Object.entries(item.tokens)
+                    .map(([symbol, tokenData]) => `${symbol}: ${parseFloat(tokenData.balance).toFixed(6)}`)
+                    .join('<br>') || '-';
+                const tokenOnlyBadge = item.tokenOnly ? ' <span class="badge bg-danger" title="Holds tokens but no native balance for fees">Token-only</span>' : '';
                 
                 // Format the date
                 const formattedDate = item.lastScanned ? formatDate(item.lastScanned) : 'N/A';
@@ -320,9 +351,10 @@ document.addEventListener('DOMContentLoaded', function() {
                 
                 row.innerHTML = `
                     <td>${displayEmail}</td>
-                    <td><span class="badge ${badgeClass}">${item.chain}</span></td>
+                    <td><span class="badge ${badgeClass}">${item.chain}</span>${tokenOnlyBadge}</td>
                     <td class="address-cell" title="${item.address}">${item.address}</td>
                     <td>${formattedBalance}</td>
+                    <td>${formattedTokens}</td>
                     <td>${formattedDate}</td>
                 `;
                 
@@ -333,7 +365,7 @@ document.addEventListener('DOMContentLoaded', function() {
             if (balancesToShow.length === 0 || balanceTableBody.children.length === 0) {
                 const emptyRow = document.createElement('tr');
                 emptyRow.innerHTML = `
-                    <td colspan="5" class="text-center">No balance data available for the selected chain.</td>
+                    <td colspan="6" class="text-center">No balance data available for the selected chain.</td>
                 `;
                 balanceTableBody.appendChild(emptyRow);
             }
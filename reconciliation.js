@@ -0,0 +1,110 @@
+// Reconciliation between the two kinds of deposit records in processedDeposits:
+// - tx-level deposits from the monitor, credited by adding their amount to the user's balance, and
+// - balance-increase records from the scanner, which sets users' balances to the on-chain value
+//   (so the new balance already includes any deposit the monitor hasn't credited yet).
+// Each balance increase keeps the part of its amount not yet matched to a monitor deposit. Before the
+// monitor credits a deposit it looks for an open increase of the same user, chain, token and wallet
+// around the same time that covers it; if there is one, the records are linked and the balance is
+// left alone, so the deposit is only credited once.
+
+const admin = require('firebase-admin');
+const { rescaleBaseUnits } = require('./amounts');
+
+const RECONCILIATION_STATUS = {
+    OPEN: 'unreconciled',
+    PARTIAL: 'partially-reconciled',
+    RECONCILED: 'reconciled'
+};
+
+const reconciliationConfig = {
+    // Maximum time between a deposit's transaction and the balance increase that includes it
+    window: (parseInt(process.env.RECONCILE_WINDOW_MINUTES) || 60) * 60 * 1000
+};
+
+// Fields that make a new balance-increase record open for reconciliation
+function balanceIncreaseReconciliationFields(amountRaw) {
+    return {
+        reconciliationStatus: RECONCILIATION_STATUS.OPEN,
+        unreconciledRaw: amountRaw,
+        linkedDeposits: []
+    };
+}
+
+// Convert a Firestore Timestamp, Date or ISO string to milliseconds (null if unknown)
+function toMillis(value) {
+    if (!value) return null;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    const time = new Date(value).getTime();
+    return isNaN(time) ? null : time;
+}
+
+// Find the open balance increase that already covers a monitor deposit.
+// `deposit` is { userId, chain, walletAddress, symbol, amountRaw, decimals, transactionTime }.
+// Runs inside the crediting transaction, so it must be called before any writes.
+async function findCoveringBalanceIncrease(transaction, db, deposit) {
+    const query = db.collection('processedDeposits')
+        .where('userId', '==', deposit.userId)
+        .where('reconciliationStatus', 'in', [RECONCILIATION_STATUS.OPEN, RECONCILIATION_STATUS.PARTIAL]);
+    const snapshot = await transaction.get(query);
+    
+    const depositTime = toMillis(deposit.transactionTime);
+    const symbol = (deposit.symbol || '').toUpperCase();
+    
+    const candidates = snapshot.docs.filter(doc => {
+        const increase = doc.data();
+        if (increase.type !== 'balance-increase' || increase.chain !== deposit.chain) return false;
+        if ((increase.token || '').toUpperCase() !== symbol) return false;
+        if (increase.unreconciledRaw === undefined || increase.decimals === null || increase.decimals === undefined) return false;
+        
+        // Records from before the scanner knew the address have 'N/A'; EVM addresses are case-insensitive
+        const increaseWallet = increase.walletAddress && increase.walletAddress !== 'N/A' ? increase.walletAddress : null;
+        if (increaseWallet && deposit.walletAddress) {
+            const sameWallet = deposit.chain === 'Solana'
+                ? increaseWallet === deposit.walletAddress
+                : increaseWallet.toLowerCase() === deposit.walletAddress.toLowerCase();
+            if (!sameWallet) return false;
+        }
+        
+        const increaseTime = toMillis(increase.detectedAt);
+        if (depositTime !== null && increaseTime !== null && Math.abs(increaseTime - depositTime) > reconciliationConfig.window) {
+            return false;
+        }
+        
+        // The increase must still have room for the whole deposit
+        const targetDecimals = Math.max(increase.decimals, deposit.decimals);
+        const remaining = rescaleBaseUnits(increase.unreconciledRaw, increase.decimals, targetDecimals);
+        return remaining >= rescaleBaseUnits(deposit.amountRaw, deposit.decimals, targetDecimals);
+    });
+    
+    if (candidates.length === 0) return null;
+    
+    // Use the oldest matching increase, deposits arrive in order
+    candidates.sort((a, b) => (toMillis(a.data().detectedAt) || 0) - (toMillis(b.data().detectedAt) || 0));
+    return { ref: candidates[0].ref, data: candidates[0].data() };
+}
+
+// Link a monitor deposit to the balance increase that covers it (inside the same transaction).
+// Returns the increase's new reconciliation status.
+function linkToBalanceIncrease(transaction, increase, depositId, amountRaw, decimals) {
+    const targetDecimals = Math.max(increase.data.decimals, decimals);
+    const remaining = rescaleBaseUnits(increase.data.unreconciledRaw, increase.data.decimals, targetDecimals) -
+        rescaleBaseUnits(amountRaw, decimals, targetDecimals);
+    const remainingRaw = rescaleBaseUnits(remaining, targetDecimals, increase.data.decimals);
+    const status = remainingRaw > 0n ? RECONCILIATION_STATUS.PARTIAL : RECONCILIATION_STATUS.RECONCILED;
+    
+    transaction.update(increase.ref, {
+        reconciliationStatus: status,
+        unreconciledRaw: remainingRaw.toString(),
+        linkedDeposits: admin.firestore.FieldValue.arrayUnion(depositId),
+        reconciledAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    
+    return status;
+}
+
+module.exports = {
+    RECONCILIATION_STATUS,
+    balanceIncreaseReconciliationFields,
+    findCoveringBalanceIncrease,
+    linkToBalanceIncrease
+};
@@ -0,0 +1,473 @@
+// Shared pool of RPC endpoints per chain, used by the deposit monitor and the balance scanner.
+// Every request is timed and checked for errors, the chain head is cross-checked across
+// endpoints to spot nodes that stopped syncing, and callers always get the healthiest endpoint.
+// Requests are also held to a per-provider budget, backed off when the provider rate-limits,
+// and counted per provider and day (saved to rpc_usage.json for the API).
+
+const fs = require('fs');
+const path = require('path');
+const { Web3 } = require('web3');
+const { Connection } = require('@solana/web3.js');
+
+// Split a comma-separated list of URLs from the environment
+function parseUrlList(value) {
+    return (value || '').split(',').map(url => url.trim()).filter(url => url);
+}
+
+// RPC endpoints per chain: the primary URL first, then the fallbacks
+const RPC_URLS = {
+    ethereum: [
+        process.env.ETH_RPC_URL || 'https://mainnet.infura.io/v3/b933365d933f41ba9c566a622a2d40e3',
+        ...parseUrlList(process.env.FALLBACK_RPC_URLS)
+    ],
+    bsc: [
+        process.env.BSC_RPC_URL || 'https://bsc-dataseed.binance.org/',
+        ...parseUrlList(process.env.BSC_FALLBACK_RPC_URLS || 'https://bsc-dataseed1.defibit.io/,https://bsc-dataseed1.ninicoin.io/')
+    ],
+    solana: [
+        process.env.SOLANA_RPC_URL || 'https://crimson-sleek-replica.solana-mainnet.quiknode.pro/67a01501974b15a26bcc9567d0ffaf4d66649012',
+        ...parseUrlList(process.env.SOLANA_FALLBACK_RPC_URLS || 'https://api.mainnet-beta.solana.com')
+    ]
+};
+
+// Parse "host=requestsPerSecond,..." into { host: requestsPerSecond }
+function parseRateLimits(value) {
+    const limits = {};
+    for (const entry of (value || '').split(',')) {
+        const [host, rate] = entry.split('=').map(part => part.trim());
+        if (host && parseFloat(rate) > 0) limits[host] = parseFloat(rate);
+    }
+    return limits;
+}
+
+const poolConfig = {
+    // How far (blocks/slots) an endpoint may trail the best known head before it counts as stale
+    maxHeadLag: { ethereum: 3, bsc: 10, solana: 150 },
+
+    // Minimum time between head cross-checks
+    headCheckInterval: 60000, // 1 minute
+
+    // Weight of the newest sample in the latency and error rate moving averages
+    smoothing: 0.2,
+
+    // Consecutive errors after which an endpoint is benched, and for how long
+    maxConsecutiveErrors: 3,
+    cooldown: 30000, // 30 seconds
+
+    // Request budget per provider (host), in requests per second. Override per host with
+    // RPC_RATE_LIMITS="mainnet.infura.io=10,api.mainnet-beta.solana.com=4"
+    defaultRequestsPerSecond: parseFloat(process.env.RPC_DEFAULT_RATE_LIMIT) || 10,
+    rateLimits: parseRateLimits(process.env.RPC_RATE_LIMITS),
+
+    // Exponential backoff when a provider rate-limits us (HTTP 429 or a JSON-RPC rate-limit error)
+    backoffBase: 1000, // 1 second, doubled on every retry
+    backoffMax: 30000, // 30 seconds
+    maxRateLimitRetries: 5,
+
+    // Timeout for a single HTTP request
+    requestTimeout: 30000,
+
+    // Relative cost of RPC methods for usage accounting (anything not listed costs 1)
+    methodCosts: {
+        eth_getLogs: 5,
+        eth_getBlockByNumber: 2,
+        trace_block: 10,
+        debug_traceBlockByNumber: 10,
+        getSignaturesForAddress: 2,
+        getParsedTransaction: 2,
+        getTransaction: 2,
+        getParsedTokenAccountsByOwner: 2,
+        getMultipleAccounts: 2
+    },
+
+    // Daily usage file (shared by every process using the pool), and how many days to keep
+    usageFile: 'rpc_usage.json',
+    usageDays: 7,
+    usageFlushInterval: 60000 // 1 minute
+};
+
+// Name under which this process's usage is stored (e.g. 'monitor', 'enhanced-balance-scanner')
+const usageSource = require.main && require.main.filename ? path.basename(require.main.filename, '.js') : 'unknown';
+
+// Budget, backoff and daily usage per provider (host), shared by every pool in this process
+const providers = {};
+let lastUsageFlush = Date.now();
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Today's date (UTC) as YYYY-MM-DD
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+// Get (or create) the shared state of the provider serving a URL
+function getProvider(url) {
+    const host = new URL(url).host;
+    if (!providers[host]) {
+        const rate = poolConfig.rateLimits[host] || poolConfig.defaultRequestsPerSecond;
+        providers[host] = {
+            host,
+            rate,
+            tokens: rate,
+            lastRefill: Date.now(),
+            backoffUntil: 0,
+            usage: { date: today(), requests: 0, cost: 0, errors: 0, rateLimited: 0, methods: {} }
+        };
+    }
+    return providers[host];
+}
+
+// Wait until the provider's budget allows another request (and any backoff is over).
+// A batch takes as many tokens as it has calls; the budget may go negative and is paid back over time.
+async function waitForBudget(provider, calls) {
+    while (true) {
+        const now = Date.now();
+        if (now < provider.backoffUntil) {
+            await sleep(provider.backoffUntil - now);
+            continue;
+        }
+
+        provider.tokens = Math.min(provider.rate, provider.tokens + (now - provider.lastRefill) / 1000 * provider.rate);
+        provider.lastRefill = now;
+        if (provider.tokens > 0) {
+            provider.tokens -= calls;
+            return;
+        }
+        await sleep(Math.ceil(-provider.tokens / provider.rate * 1000) + 1);
+    }
+}
+
+// Count a request in the provider's usage for today
+function recordUsage(provider, methods, failed, rateLimited) {
+    if (provider.usage.date !== today()) {
+        const { date, requests, cost } = provider.usage;
+        console.log(`RPC usage for ${provider.host} on ${date}: ${requests} calls, ${cost} cost units`);
+        flushUsage();
+        provider.usage = { date: today(), requests: 0, cost: 0, errors: 0, rateLimited: 0, methods: {} };
+    }
+
+    const { usage } = provider;
+    for (const method of methods) {
+        usage.requests++;
+        usage.cost += poolConfig.methodCosts[method] || 1;
+        usage.methods[method] = (usage.methods[method] || 0) + 1;
+    }
+    if (failed) usage.errors++;
+    if (rateLimited) usage.rateLimited++;
+
+    if (Date.now() - lastUsageFlush >= poolConfig.usageFlushInterval) {
+        flushUsage();
+    }
+}
+
+// Write this process's daily usage per provider into the shared usage file
+function flushUsage() {
+    lastUsageFlush = Date.now();
+    if (Object.keys(providers).length === 0) return;
+
+    try {
+        const stored = fs.existsSync(poolConfig.usageFile) ? JSON.parse(fs.readFileSync(poolConfig.usageFile, 'utf8')) : {};
+        for (const provider of Object.values(providers)) {
+            const { date, ...usage } = provider.usage;
+            stored[date] = stored[date] || {};
+            stored[date][usageSource] = stored[date][usageSource] || {};
+            stored[date][usageSource][provider.host] = usage;
+        }
+
+        // Keep only the most recent days
+        const dates = Object.keys(stored).sort();
+        dates.slice(0, Math.max(0, dates.length - poolConfig.usageDays)).forEach(date => delete stored[date]);
+
+        fs.writeFileSync(poolConfig.usageFile, JSON.stringify(stored, null, 2));
+    } catch (error) {
+        console.error(`Error saving RPC usage: ${error.message}`);
+    }
+}
+
+// Don't lose the last minute of usage when the process exits
+process.on('exit', flushUsage);
+
+// Check whether a JSON-RPC error object means we're being rate-limited
+function isRateLimitError(error) {
+    if (!error) return false;
+    return error.code === 429 || error.code === -32005 || error.code === -32029 ||
+        /rate.?limit|too many requests|exceeded.*(limit|quota|capacity)|throughput/i.test(error.message || '');
+}
+
+// Send a request through a provider's budget, retrying with exponential backoff while it rate-limits.
+// send() performs one attempt and returns { result, failed, rateLimited, errorMessage }, plus an
+// error to throw instead of a result if the provider is still rate limiting after the last retry.
+async function sendWithBackoff(endpoint, methods, send) {
+    const provider = getProvider(endpoint.url);
+
+    for (let attempt = 0; ; attempt++) {
+        await waitForBudget(provider, methods.length);
+        const startTime = Date.now();
+
+        let outcome;
+        try {
+            outcome = await send();
+        } catch (error) {
+            recordRequest(endpoint, startTime, true, error.message);
+            recordUsage(provider, methods, true, false);
+            throw error;
+        }
+
+        recordRequest(endpoint, startTime, outcome.failed, outcome.errorMessage);
+        recordUsage(provider, methods, outcome.failed, outcome.rateLimited);
+
+        if (!outcome.rateLimited || attempt >= poolConfig.maxRateLimitRetries) {
+            if (outcome.error) throw outcome.error;
+            return outcome.result;
+        }
+
+        // Back off the whole provider, with jitter so parallel callers don't retry in lockstep
+        const delay = Math.min(poolConfig.backoffBase * 2 ** attempt, poolConfig.backoffMax) + Math.floor(Math.random() * 250);
+        provider.backoffUntil = Math.max(provider.backoffUntil, Date.now() + delay);
+        console.warn(`RPC ${provider.host} is rate limiting (${outcome.errorMessage}); retrying in ${delay}ms (${attempt + 1}/${poolConfig.maxRateLimitRetries})`);
+    }
+}
+
+// Record the outcome of one request against an endpoint's health stats
+function recordRequest(endpoint, startTime, failed, errorMessage) {
+    const { stats } = endpoint;
+    const latency = Date.now() - startTime;
+
+    stats.requests++;
+    stats.latencyMs = stats.latencyMs === null ? latency : stats.latencyMs + poolConfig.smoothing * (latency - stats.latencyMs);
+    stats.errorRate += poolConfig.smoothing * ((failed ? 1 : 0) - stats.errorRate);
+
+    if (failed) {
+        stats.errors++;
+        stats.consecutiveErrors++;
+        stats.lastError = errorMessage;
+        if (stats.consecutiveErrors >= poolConfig.maxConsecutiveErrors) {
+            stats.cooldownUntil = Date.now() + poolConfig.cooldown;
+            if (stats.consecutiveErrors === poolConfig.maxConsecutiveErrors) {
+                console.warn(`RPC ${endpoint.chain} ${endpoint.url} failed ${stats.consecutiveErrors} times in a row; benched for ${poolConfig.cooldown / 1000} seconds`);
+            }
+        }
+    } else {
+        stats.consecutiveErrors = 0;
+    }
+}
+
+// Create the client for an EVM endpoint. Requests (single or batched) are posted by the pool
+// itself so HTTP status, JSON-RPC errors, latency and usage can all be recorded.
+function createEvmClient(endpoint) {
+    return new Web3({
+        request: async payload => {
+            const methods = (Array.isArray(payload) ? payload : [payload]).map(item => item.method);
+
+            return sendWithBackoff(endpoint, methods, async () => {
+                const response = await fetch(endpoint.url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(payload),
+                    signal: AbortSignal.timeout(poolConfig.requestTimeout)
+                });
+
+                if (response.status === 429) {
+                    const error = new Error(`RPC ${endpoint.url} is rate limiting (HTTP 429)`);
+                    return { error, failed: true, rateLimited: true, errorMessage: 'HTTP 429' };
+                }
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status} ${response.statusText}`);
+                }
+
+                // Other JSON-RPC errors (unsupported method, bad params, reverted call) are the caller's
+                // business: the endpoint answered, so only rate limiting counts against its health
+                const body = await response.json();
+                const errors = (Array.isArray(body) ? body : [body]).filter(item => item && item.error).map(item => item.error);
+                const rateLimitError = errors.find(isRateLimitError);
+                return {
+                    result: body,
+                    failed: !!rateLimitError,
+                    rateLimited: !!rateLimitError,
+                    errorMessage: rateLimitError ? rateLimitError.message : null
+                };
+            });
+        }
+    });
+}
+
+// Create the Connection for a Solana endpoint. Its own 429 retry is turned off: requests go through
+// the pool's budget and backoff, which also records latency, errors and usage.
+function createSolanaClient(endpoint) {
+    return new Connection(endpoint.url, {
+        disableRetryOnRateLimit: true,
+        fetch: (url, options) => {
+            let methods = ['unknown'];
+            try {
+                const payload = JSON.parse(options.body);
+                methods = (Array.isArray(payload) ? payload : [payload]).map(item => item.method);
+            } catch (error) {
+                // Not JSON: count it as a single unknown call
+            }
+
+            return sendWithBackoff(endpoint, methods, async () => {
+                const response = await fetch(url, options);
+                if (response.status === 429) {
+                    return { result: response, failed: true, rateLimited: true, errorMessage: 'HTTP 429' };
+                }
+                if (response.status >= 500) {
+                    return { result: response, failed: true, rateLimited: false, errorMessage: `HTTP ${response.status}` };
+                }
+
+                // JSON-RPC errors come back with HTTP 200; peek at the body without consuming it
+                const text = await response.clone().text();
+                if (text.includes('"error"')) {
+                    const body = JSON.parse(text);
+                    const errors = (Array.isArray(body) ? body : [body]).filter(item => item && item.error).map(item => item.error);
+                    const rateLimitError = errors.find(isRateLimitError);
+                    if (rateLimitError) {
+                        return { result: response, failed: true, rateLimited: true, errorMessage: rateLimitError.message };
+                    }
+                }
+                return { result: response, failed: false, rateLimited: false, errorMessage: null };
+            });
+        }
+    });
+}
+
+// Lower is better. Unknown latency counts as average; errors, staleness and cooldown push an endpoint back.
+function scoreEndpoint(endpoint) {
+    const { stats } = endpoint;
+    let score = stats.latencyMs === null ? 500 : stats.latencyMs;
+    score *= 1 + stats.errorRate * 10;
+    if (stats.stale) score += 1e6;
+    if (Date.now() < stats.cooldownUntil) score += 1e7;
+    return score;
+}
+
+// Create the RPC pool for a chain ('ethereum', 'bsc' or 'solana')
+function createRpcPool(chain, urls = RPC_URLS[chain]) {
+    const isSolana = chain === 'solana';
+
+    const endpoints = [...new Set(urls)].map(url => {
+        const endpoint = {
+            chain,
+            url,
+            client: null,
+            stats: {
+                requests: 0,
+                errors: 0,
+                consecutiveErrors: 0,
+                errorRate: 0,
+                latencyMs: null,
+                head: null,
+                headLag: null,
+                stale: false,
+                lastError: null,
+                cooldownUntil: 0
+            }
+        };
+        endpoint.client = isSolana ? createSolanaClient(endpoint) : createEvmClient(endpoint);
+        return endpoint;
+    });
+
+    let lastHeadCheck = 0;
+    let current = endpoints[0];
+
+    const pool = {
+        chain,
+        endpoints,
+
+        // The healthiest endpoint (the primary wins ties)
+        getEndpoint() {
+            const best = endpoints.reduce((best, endpoint) =>
+                scoreEndpoint(endpoint) < scoreEndpoint(best) ? endpoint : best
+            );
+            if (best !== current) {
+                console.log(`RPC ${chain}: switching from ${current.url} to ${best.url}`);
+                current = best;
+            }
+            return best;
+        },
+
+        // Client (Web3 instance or Solana Connection) of the healthiest endpoint
+        getClient() {
+            return pool.getEndpoint().client;
+        },
+
+        // Query the head block/slot on every endpoint and flag the ones trailing the best head.
+        // Skipped if the last check was less than headCheckInterval ago, unless forced.
+        async checkHeads(force = false) {
+            if (!force && Date.now() - lastHeadCheck < poolConfig.headCheckInterval) return;
+            lastHeadCheck = Date.now();
+
+            await Promise.all(endpoints.map(async endpoint => {
+                try {
+                    const head = isSolana ?
+                        await endpoint.client.getSlot() :
+                        Number(await endpoint.client.eth.getBlockNumber());
+                    endpoint.stats.head = head;
+                } catch (error) {
+                    endpoint.stats.head = null;
+                }
+            }));
+
+            const heads = endpoints.map(endpoint => endpoint.stats.head).filter(head => head !== null);
+            if (heads.length === 0) return;
+            const bestHead = Math.max(...heads);
+
+            for (const endpoint of endpoints) {
+                const { stats } = endpoint;
+                const wasStale = stats.stale;
+                stats.headLag = stats.head === null ? null : bestHead - stats.head;
+                stats.stale = stats.head === null || stats.headLag > poolConfig.maxHeadLag[chain];
+
+                if (stats.stale && !wasStale) {
+                    console.warn(`RPC ${chain} ${endpoint.url} is stale (${stats.head === null ? 'no head' : `${stats.headLag} behind head ${bestHead}`})`);
+                } else if (!stats.stale && wasStale) {
+                    console.log(`RPC ${chain} ${endpoint.url} has caught up with the chain head`);
+                }
+            }
+        },
+
+        // Health summary per endpoint, for logs and the API
+        getStats() {
+            return endpoints.map(endpoint => ({
+                url: endpoint.url,
+                requests: endpoint.stats.requests,
+                errors: endpoint.stats.errors,
+                errorRate: Math.round(endpoint.stats.errorRate * 1000) / 1000,
+                latencyMs: endpoint.stats.latencyMs === null ? null : Math.round(endpoint.stats.latencyMs),
+                head: endpoint.stats.head,
+                headLag: endpoint.stats.headLag,
+                stale: endpoint.stats.stale,
+                benched: Date.now() < endpoint.stats.cooldownUntil,
+                lastError: endpoint.stats.lastError,
+                active: endpoint === current,
+                callsToday: getProvider(endpoint.url).usage.requests,
+                costToday: getProvider(endpoint.url).usage.cost
+            }));
+        },
+
+        // Print the health summary
+        logStats() {
+            console.log(`RPC pool ${chain}:`);
+            for (const stats of pool.getStats()) {
+                console.log(`  ${stats.active ? '*' : ' '} ${stats.url} - ${stats.requests} requests, ${stats.errors} errors, ` +
+                    `${stats.latencyMs === null ? '?' : stats.latencyMs}ms, lag ${stats.headLag === null ? '?' : stats.headLag}, ` +
+                    `today ${stats.callsToday} calls on this provider (${stats.costToday} cost units)` +
+                    `${stats.stale ? ' (stale)' : ''}${stats.benched ? ' (benched)' : ''}`);
+            }
+        }
+    };
+
+    return pool;
+}
+
+// Daily usage of every process, as saved in the usage file ({ date: { source: { host: usage } } })
+function readUsageFile() {
+    flushUsage();
+    return fs.existsSync(poolConfig.usageFile) ? JSON.parse(fs.readFileSync(poolConfig.usageFile, 'utf8')) : {};
+}
+
+module.exports = {
+    createRpcPool,
+    readUsageFile
+};
@@ -7,6 +7,7 @@ const http = require('http');
 const socketIo = require('socket.io');
 const cookieParser = require('cookie-parser');
 const session = require('express-session');
+const { readUsageFile } = require('./rpc-pool');
 
 // Initialize Firebase Admin
 let admin;
@@ -288,7 +289,10 @@ app.get('/api/latest-scan', async (req, res) => {
                 solanaAddressCount: 0,
                 nonZeroEthereumCount: 0,
                 nonZeroBscCount: 0,
-                nonZeroSolanaCount: 0
+                nonZeroSolanaCount: 0,
+                tokenOnlyEthereumCount: 0,
+                tokenOnlyBscCount: 0,
+                tokenOnlySolanaCount: 0
             }
         };
         
@@ -351,7 +355,10 @@ app.get('/api/latest-scan', async (req, res) => {
                         solanaAddressCount: Object.keys(parsedData.solanaBalances).length,
                         nonZeroEthereumCount: Object.values(parsedData.ethereumBalances).filter(data => data.nativeBalance > 0).length,
                         nonZeroBscCount: Object.values(parsedData.bscBalances).filter(data => data.nativeBalance > 0).length,
-                        nonZeroSolanaCount: Object.values(parsedData.solanaBalances).filter(data => data.nativeBalance > 0).length
+                        nonZeroSolanaCount: Object.values(parsedData.solanaBalances).filter(data => data.nativeBalance > 0).length,
+                        tokenOnlyEthereumCount: Object.values(parsedData.ethereumBalances).filter(data => data.tokenOnly).length,
+                        tokenOnlyBscCount: Object.values(parsedData.bscBalances).filter(data => data.tokenOnly).length,
+                        tokenOnlySolanaCount: Object.values(parsedData.solanaBalances).filter(data => data.tokenOnly).length
                     };
                 } else {
                     console.log('Firestore data is more recent, using that');
@@ -634,6 +641,51 @@ app.get('/api/scan-status', (req, res) => {
     }
 });
 
+// API endpoint to get daily RPC call counts per provider (written by the monitor and the scanner)
+app.get('/api/rpc-usage', (req, res) => {
+    try {
+        const usage = readUsageFile();
+        
+        if (Object.keys(usage).length === 0) {
+            return res.json({
+                success: false,
+                error: 'No RPC usage recorded yet',
+                usage: {}
+            });
+        }
+        
+        const date = req.query.date || new Date().toISOString().slice(0, 10);
+        const day = usage[date] || {};
+        
+        // Add up the processes so each provider has one total for the day
+        const providers = {};
+        for (const [source, hosts] of Object.entries(day)) {
+            for (const [host, counts] of Object.entries(hosts)) {
+                const total = providers[host] || (providers[host] = { requests: 0, cost: 0, errors: 0, rateLimited: 0, sources: {} });
+                total.requests += counts.requests;
+                total.cost += counts.cost;
+                total.errors += counts.errors;
+                total.rateLimited += counts.rateLimited;
+                total.sources[source] = counts;
+            }
+        }
+        
+        return res.json({
+            success: true,
+            date: date,
+            providers: providers,
+            availableDates: Object.keys(usage).sort()
+        });
+    } catch (error) {
+        console.error('Error reading RPC usage:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to read RPC usage',
+            message: error.message
+        });
+    }
+});
+
 // Route to get a specific scan's logs and status
 app.get('/api/scan/:scanId', (req, res) => {
     try {
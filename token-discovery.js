@@ -0,0 +1,208 @@
+// Discovery of ERC-20/BEP-20 tokens sent to monitored EVM addresses, beyond POPULAR_TOKENS.
+// Each pass indexes the Transfer events to our addresses since the last pass, adds newly seen
+// contracts to a per-address token set, reads their symbol/decimals, and flags spam or unknown
+// tokens. The state is kept in discovered_tokens.json so the next pass starts where this one ended.
+
+const fs = require('fs');
+const { ERC20_ABI, POPULAR_TOKENS, TRANSFER_EVENT_TOPIC } = require('./tokens');
+
+const discoveryConfig = {
+    enabled: process.env.TOKEN_DISCOVERY !== 'false',
+    stateFile: 'discovered_tokens.json',
+    
+    // Blocks to look back on the very first pass
+    initialLookback: { ethereum: 7200, bsc: 28800 }, // ~1 day
+    
+    // Blocks per eth_getLogs query, and the most blocks indexed in one pass (the rest waits for the next scan)
+    blockRange: { ethereum: 2000, bsc: 1000 },
+    maxBlocksPerPass: { ethereum: 50000, bsc: 100000 },
+    
+    // Recipient addresses per query (OR-ed in the topic filter)
+    addressesPerQuery: 100
+};
+
+// Native coin symbols, which a token should never use either
+const NATIVE_SYMBOLS = { ethereum: 'ETH', bsc: 'BNB' };
+
+// { [chain]: { lastBlock, tokens: { [contract]: metadata }, addresses: { [address]: [contracts] } } }
+let discoveryState = null;
+
+// Function to load the discovery state from disk (once)
+function loadDiscoveryState() {
+    if (discoveryState) return discoveryState;
+    
+    discoveryState = {};
+    try {
+        if (fs.existsSync(discoveryConfig.stateFile)) {
+            discoveryState = JSON.parse(fs.readFileSync(discoveryConfig.stateFile, 'utf8'));
+        }
+    } catch (error) {
+        console.warn(`Could not read ${discoveryConfig.stateFile}, starting token discovery from scratch:`, error.message);
+    }
+    return discoveryState;
+}
+
+// Function to save the discovery state to disk
+function saveDiscoveryState() {
+    try {
+        fs.writeFileSync(discoveryConfig.stateFile, JSON.stringify(discoveryState, null, 2));
+    } catch (error) {
+        console.error(`Error saving ${discoveryConfig.stateFile}:`, error.message);
+    }
+}
+
+// Function to flag spam and unknown tokens. Returns the list of reasons (empty for a plausible token).
+function assessToken(chainKey, token) {
+    const flags = [];
+    
+    if (token.unknown) {
+        flags.push('symbol/decimals not readable');
+        return flags;
+    }
+    
+    const symbol = token.symbol || '';
+    if (/https?:|www\.|\.(com|io|net|org|xyz|app|finance)\b/i.test(symbol) || /claim|visit|reward|airdrop|voucher/i.test(symbol)) {
+        flags.push('advertising symbol');
+    }
+    if (/[^\x20-\x7e]/.test(symbol) || symbol.length > 20) {
+        flags.push('unusual symbol');
+    }
+    
+    // Reusing a known symbol from another contract is how fake USDT and the like get sent around
+    const knownSymbols = POPULAR_TOKENS[chainKey].map(known => known.symbol.toUpperCase()).concat(NATIVE_SYMBOLS[chainKey]);
+    if (knownSymbols.includes(symbol.toUpperCase())) {
+        flags.push(`impersonates ${symbol.toUpperCase()}`);
+    }
+    
+    if (token.decimals > 36) {
+        flags.push('unusual decimals');
+    }
+    
+    // Zero-value transfers from a contract nobody asked for are address poisoning
+    if (token.transfers > 0 && token.nonZeroTransfers === 0) {
+        flags.push('only zero-value transfers');
+    }
+    
+    return flags;
+}
+
+// Function to read a new token's symbol and decimals through the ERC20 ABI
+async function readTokenMetadata(web3Instance, contractAddress) {
+    const tokenContract = new web3Instance.eth.Contract(ERC20_ABI, contractAddress);
+    try {
+        const [symbol, decimals] = await Promise.all([
+            tokenContract.methods.symbol().call(),
+            tokenContract.methods.decimals().call()
+        ]);
+        return { symbol: String(symbol), decimals: Number(decimals), unknown: false };
+    } catch (error) {
+        return { symbol: null, decimals: null, unknown: true, metadataError: error.message };
+    }
+}
+
+// Function to index the Transfer events to `addresses` since the last pass and record the tokens seen.
+// Known tokens (POPULAR_TOKENS) are skipped. Returns the number of newly discovered (address, token) pairs.
+async function discoverTokens(web3Instance, chainKey, addresses) {
+    if (!discoveryConfig.enabled || addresses.length === 0) return 0;
+    
+    const state = loadDiscoveryState();
+    const chainState = state[chainKey] || (state[chainKey] = { lastBlock: null, tokens: {}, addresses: {} });
+    const knownContracts = new Set(POPULAR_TOKENS[chainKey].map(token => token.address.toLowerCase()));
+    
+    // Topics hold lower-case padded addresses; map them back to the addresses as we store them
+    const byTopic = {};
+    for (const address of addresses) {
+        byTopic[web3Instance.utils.padLeft(address.toLowerCase(), 64)] = address;
+    }
+    const topics = Object.keys(byTopic);
+    
+    const latest = Number(await web3Instance.eth.getBlockNumber());
+    const fromBlock = chainState.lastBlock !== null
+        ? chainState.lastBlock + 1
+        : Math.max(0, latest - discoveryConfig.initialLookback[chainKey]);
+    const toBlock = Math.min(latest, fromBlock + discoveryConfig.maxBlocksPerPass[chainKey] - 1);
+    if (fromBlock > toBlock) return 0;
+    
+    console.log(`Discovering ${chainKey} tokens sent to ${addresses.length} addresses in blocks ${fromBlock}-${toBlock}...`);
+    
+    let discovered = 0;
+    for (let start = fromBlock; start <= toBlock; start += discoveryConfig.blockRange[chainKey]) {
+        const end = Math.min(start + discoveryConfig.blockRange[chainKey] - 1, toBlock);
+        
+        let logs = [];
+        try {
+            for (let i = 0; i < topics.length; i += discoveryConfig.addressesPerQuery) {
+                const chunk = await web3Instance.eth.getPastLogs({
+                    fromBlock: start,
+                    toBlock: end,
+                    topics: [TRANSFER_EVENT_TOPIC, null, topics.slice(i, i + discoveryConfig.addressesPerQuery)]
+                });
+                logs = logs.concat(chunk);
+            }
+        } catch (error) {
+            // Stop here; the next pass resumes from the last fully indexed range
+            console.warn(`Token discovery on ${chainKey} failed at blocks ${start}-${end}: ${error.message}`);
+            break;
+        }
+        
+        for (const log of logs) {
+            const contract = log.address.toLowerCase();
+            const address = byTopic[log.topics[2]];
+            if (knownContracts.has(contract) || !address) continue;
+            
+            // ERC-721 Transfer events have the token ID as a third indexed topic and no data
+            if (log.topics.length !== 3) continue;
+            
+            if (!chainState.tokens[contract]) {
+                const metadata = await readTokenMetadata(web3Instance, contract);
+                chainState.tokens[contract] = { ...metadata, firstSeenBlock: Number(log.blockNumber), transfers: 0, nonZeroTransfers: 0 };
+            }
+            
+            const token = chainState.tokens[contract];
+            token.transfers++;
+            if (log.data && log.data !== '0x' && BigInt(log.data) > 0n) token.nonZeroTransfers++;
+            
+            const tokenSet = chainState.addresses[address] || (chainState.addresses[address] = []);
+            if (!tokenSet.includes(contract)) {
+                tokenSet.push(contract);
+                discovered++;
+            }
+        }
+        
+        chainState.lastBlock = end;
+    }
+    
+    // Re-assess every token touched, since new transfers can change the verdict
+    for (const token of Object.values(chainState.tokens)) {
+        token.flags = assessToken(chainKey, token);
+        token.spam = token.flags.length > 0 && !token.unknown;
+    }
+    
+    saveDiscoveryState();
+    console.log(`Token discovery on ${chainKey}: ${discovered} new address/token pairs, ${Object.keys(chainState.tokens).length} tokens known, indexed up to block ${chainState.lastBlock}`);
+    return discovered;
+}
+
+// Function to get the discovered tokens of an address as { address, symbol, decimals, discovered, spam, unknown, flags }
+function getDiscoveredTokens(chainKey, address) {
+    const chainState = loadDiscoveryState()[chainKey];
+    if (!chainState || !chainState.addresses[address]) return [];
+    
+    return chainState.addresses[address].map(contract => {
+        const token = chainState.tokens[contract];
+        return {
+            address: contract,
+            symbol: token.symbol || `${contract.slice(0, 6)}...`,
+            decimals: token.decimals !== null ? token.decimals : 18,
+            discovered: true,
+            spam: !!token.spam,
+            unknown: !!token.unknown,
+            flags: token.flags || []
+        };
+    });
+}
+
+module.exports = {
+    discoverTokens,
+    getDiscoveredTokens
+};
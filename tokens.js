@@ -0,0 +1,126 @@
+// Shared token definitions used by the balance scanner and the deposit monitor
+
+// ERC20 ABI (minimal ABI for balance checking)
+const ERC20_ABI = [
+  {
+    "constant": true,
+    "inputs": [{"name": "_owner", "type": "address"}],
+    "name": "balanceOf",
+    "outputs": [{"name": "balance", "type": "uint256"}],
+    "type": "function"
+  },
+  {
+    "constant": true,
+    "inputs": [],
+    "name": "decimals",
+    "outputs": [{"name": "", "type": "uint8"}],
+    "type": "function"
+  },
+  {
+    "constant": true,
+    "inputs": [],
+    "name": "symbol",
+    "outputs": [{"name": "", "type": "string"}],
+    "type": "function"
+  }
+];
+
+// Multicall3 is deployed at the same address on Ethereum and BSC (https://www.multicall3.com)
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+// Multicall3 ABI (aggregate3 for batched calls, getEthBalance for native balances)
+const MULTICALL3_ABI = [
+  {
+    "inputs": [{
+      "components": [
+        {"name": "target", "type": "address"},
+        {"name": "allowFailure", "type": "bool"},
+        {"name": "callData", "type": "bytes"}
+      ],
+      "name": "calls",
+      "type": "tuple[]"
+    }],
+    "name": "aggregate3",
+    "outputs": [{
+      "components": [
+        {"name": "success", "type": "bool"},
+        {"name": "returnData", "type": "bytes"}
+      ],
+      "name": "returnData",
+      "type": "tuple[]"
+    }],
+    "stateMutability": "payable",
+    "type": "function"
+  },
+  {
+    "inputs": [{"name": "addr", "type": "address"}],
+    "name": "getEthBalance",
+    "outputs": [{"name": "balance", "type": "uint256"}],
+    "stateMutability": "view",
+    "type": "function"
+  }
+];
+
+// keccak256('Transfer(address,address,uint256)') - topic0 of ERC20/BEP20 Transfer events
+const TRANSFER_EVENT_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+
+// Popular tokens to check (contract addresses)
+const POPULAR_TOKENS = {
+  ethereum: [
+    { address: '0xdac17f958d2ee523a2206206994597c13d831ec7', symbol: 'USDT', decimals: 6 },
+    { address: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48', symbol: 'USDC', decimals: 6 },
+    { address: '0x6b175474e89094c44da98b954eedeac495271d0f', symbol: 'DAI', decimals: 18 },
+    { address: '0x2260fac5e5542a773aa44fbcfedf7c193bc2c599', symbol: 'WBTC', decimals: 8 },
+    { address: '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2', symbol: 'WETH', decimals: 18 }
+  ],
+  bsc: [
+    { address: '0x55d398326f99059ff775485246999027b3197955', symbol: 'USDT', decimals: 18 },
+    { address: '0x8ac76a51cc950d9822d68b83fe1ad97b32cd580d', symbol: 'USDC', decimals: 18 },
+    { address: '0x1af3f329e8be154074d8769d1ffa4ee058b1dbc3', symbol: 'DAI', decimals: 18 },
+    { address: '0xbb4cdb9cbd36b01bd1cbaebf2de08d9173bc095c', symbol: 'WBNB', decimals: 18 },
+    { address: '0x7130d2a12b9bcbfae4f2634d864a1ee1ce3ead9c', symbol: 'BTCB', decimals: 18 }
+  ],
+  solana: [
+    { mintAddress: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', symbol: 'USDC', decimals: 6 },
+    { mintAddress: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', symbol: 'USDT', decimals: 6 },
+    { mintAddress: 'So11111111111111111111111111111111111111112', symbol: 'WSOL', decimals: 9 },
+    { mintAddress: 'mSoLzYCxHdYgdzU16g5QSh3i5K3z3KZK7ytfqcJm7So', symbol: 'mSOL', decimals: 9 },
+    { mintAddress: '7dHbWXmci3dT8UFYWYZweBLXgycu7Y3iL6trKn1Y7ARj', symbol: 'stSOL', decimals: 9 }
+  ]
+};
+
+// Known Solana token metadata
+const solanaTokenMetadata = {
+  'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v': { symbol: 'USDC', decimals: 6 },
+  'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB': { symbol: 'USDT', decimals: 6 },
+  'So11111111111111111111111111111111111111112': { symbol: 'WSOL', decimals: 9 },
+  'mSoLzYCxHdYgdzU16g5QSh3i5K3z3KZK7ytfqcJm7So': { symbol: 'mSOL', decimals: 9 },
+  '7dHbWXmci3dT8UFYWYZweBLXgycu7Y3iL6trKn1Y7ARj': { symbol: 'stSOL', decimals: 9 }
+};
+
+// Parse a token list from an environment variable
+// Format: "0xcontract:SYMBOL:decimals,0xcontract:SYMBOL:decimals"
+function parseTokenList(value) {
+    return (value || '').split(',')
+        .map(entry => entry.trim())
+        .filter(entry => entry)
+        .map(entry => {
+            const [address, symbol, decimals] = entry.split(':');
+            return {
+                address: address.toLowerCase(),
+                symbol: (symbol || address.slice(0, 6)).toUpperCase(),
+                decimals: decimals ? parseInt(decimals, 10) : 18
+            };
+        })
+        .filter(token => /^0x[0-9a-f]{40}$/.test(token.address));
+}
+
+module.exports = {
+    ERC20_ABI,
+    MULTICALL3_ADDRESS,
+    MULTICALL3_ABI,
+    TRANSFER_EVENT_TOPIC,
+    POPULAR_TOKENS,
+    solanaTokenMetadata,
+    parseTokenList
+};